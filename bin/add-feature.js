@@ -1,23 +1,37 @@
-import { outro, tasks } from '@clack/prompts';
+import { log, outro, tasks } from '@clack/prompts';
 import chalk from 'chalk';
 import { dockerComposeGenerator } from '../lib/docker/config-generator.js';
-import { selectDockerServices } from '../lib/docker/service-selector.js';
+import { registerAppModuleImport } from '../lib/files/app-module.modifier.js';
 import { filesManager } from '../lib/files/files.manager.js';
+import { modifyMainTsFile } from '../lib/files/main-file.modifier.js';
+import { commitJournal, startJournal } from '../lib/functions/change-journal.js';
+import { enableDryRun, isDryRun, printDryRunPlan } from '../lib/functions/dry-run.js';
 import { ensureDirectoryPermissions } from '../lib/functions/ensure-dir-permission.js';
 import { errorHandler } from '../lib/functions/error-handler.js';
 import { displayBanner } from '../lib/functions/main-banner.js';
 import { resolveProjectPaths } from '../lib/functions/resolve-project-path.js';
-import { booleanPrompt } from '../lib/prompts/boolean.prompt.js';
+import { detectInstalledFeatures } from '../lib/manifest/feature-detector.js';
+import { trackFeature } from '../lib/manifest/feature-tracker.js';
+import { MANIFEST_FILE, readManifest, updateManifest } from '../lib/manifest/project-manifest.js';
+import { loadPlugins } from '../lib/plugins/plugin-registry.js';
 import { cancelPrompt } from '../lib/prompts/cancel.prompt.js';
 import { promptPackageManager } from '../lib/prompts/package-manager.prompt.js';
-import { promptPaginationType } from '../lib/prompts/pagination.prompt.js';
+import { promptFeatureSelection } from '../lib/prompts/feature-selection.prompt.js';
 import { textPrompt } from '../lib/prompts/text.prompt.js';
 import { isNestProject } from '../lib/shell/shell.commands.js';
 
-export async function addFeature() {
+/**
+ * Runs the `--add-feature` command.
+ *
+ * @param {Object} [flags] The flags parsed from the command line (see `parseAddFeatureFlags()`).
+ */
+export async function addFeature(flags = { dryRun: false }) {
   // Display the CLI banner and introduction message.
   displayBanner('Adding feature to existing project');
 
+  // Record the planned changes instead of applying them.
+  if (flags.dryRun) enableDryRun();
+
   // Prompt the user to input the project's path
   const projectPath = await textPrompt(
     'Enter Project\'s directory path [Current directory "."]:',
@@ -36,14 +50,55 @@ export async function addFeature() {
     // Ensure the target directory contain a NestJS project
     await isNestProject(targetDirectory);
 
-    // Prompt the user to select a package manager.
-    const packageManager = await promptPackageManager();
-    cancelPrompt(packageManager); // Handle cancellation during the prompt.
+    // Read the project manifest to find out how the project was created.
+    const manifest = await readManifest(targetDirectory);
+    if (manifest) {
+      log.info(`Found ${MANIFEST_FILE}.`);
+    }
 
-    // Collect additional project configuration options from the user.
-    const options = await collectOptions();
+    // Reuse the project's package manager, or prompt the user to select one.
+    const packageManager = manifest?.packageManager ?? (await promptPackageManager());
+    cancelPrompt(packageManager); // Handle cancellation during the prompt.
 
-    await featureFinalization(targetDirectory, packageManager, options);
+    // Load the feature plugins, including the ones installed in the project.
+    loadPlugins(flags.pluginPaths, targetDirectory);
+
+    // Detect the features already installed, so they aren't applied twice.
+    const installedFeatures = await detectInstalledFeatures(targetDirectory, manifest);
+    if (installedFeatures.size) {
+      log.info(`Installed features: ${[...installedFeatures].join(', ')}.`);
+    }
+
+    // Let the user pick the features to add.
+    const { selectedFeatures, options } = await promptFeatureSelection(installedFeatures);
+    if (!selectedFeatures.length) {
+      outro(chalk.yellow('No feature selected, nothing to do.'));
+      return;
+    }
+
+    // Record every change, so a failed run restores the project to its prior state.
+    if (!isDryRun()) await startJournal(targetDirectory, packageManager);
+
+    // Let the reverse proxy route the prefix and Swagger UI the project already has, too.
+    const routes = {
+      prefix: options.prefix ?? manifest?.features?.prefix?.value,
+      swagger: options.swaggerConfig || installedFeatures.has('swagger'),
+    };
+
+    await featureFinalization(targetDirectory, packageManager, options, routes);
+
+    if (isDryRun()) {
+      // Print the planned changes instead of a success message.
+      printDryRunPlan(targetDirectory);
+      outro(
+        chalk.yellow('Dry run complete. Run the command again without "--dry-run" to apply it.'),
+      );
+      return;
+    }
+
+    // Keep the journal, so the run can be undone with the `rollback` command.
+    await commitJournal();
+    log.info(`Run ${chalk.cyan('nest-craft rollback')} to undo these changes.`);
 
     // Display a success message upon completing the project setup.
     outro(chalk.green('Thanks for using Nest Craft! Your project is ready.'));
@@ -53,66 +108,6 @@ export async function addFeature() {
   }
 }
 
-/**
- *Collects various configuration options for the project.
- *
- * This function prompts the user to select or input various options such as:
- * - Docker service configuration
- * - Custom exception filter, pipe, and interceptor
- * - Swagger configuration
- * - Pagination utility
- * - Multer file uploader
- * - Prettier tab indentation
- *
- * @returns {Promise<Object>} An object containing the selected options:
- * - dockerComposeConfig: The selected Docker services configuration.
- * - customFilter: Boolean indicating if a custom exception filter is needed.
- * - customPipe: Boolean indicating if a custom pipe is needed.
- * - customInterceptor: Boolean indicating if a custom response interceptor is needed.
- * - swaggerConfig: Boolean indicating if Swagger config is needed.
- * - paginationType: The selected pagination utility type (if any).
- * - multer: Boolean indicating if Multer file uploader is needed.
- * - prettier: Boolean indicating if prettier should use tab indentation.
- */
-async function collectOptions() {
-  // Prompt the user to select Docker services configuration.
-  const dockerComposeConfig = await selectDockerServices();
-
-  // Prompt the user to decide whether they need a custom exception filter.
-  const customFilter = await booleanPrompt('Do you need a Custom Exception Filter?');
-
-  // Prompt the user to decide whether they need a custom unprocessable entity pipe.
-  const customPipe = await booleanPrompt('Do you need a Custom Unprocessable Entity Pipe?');
-
-  // Prompt the user to decide whether they need a custom response interceptor.
-  const customInterceptor = await booleanPrompt('Do you need a Custom Response Interceptor?');
-
-  // Prompt the user to decide whether they need Swagger configuration.
-  const swaggerConfig = await booleanPrompt('Do you need Swagger config?');
-
-  // Prompt the user to select a pagination utility type (TypeORM, Mongoose, or None).
-  const paginationType = await promptPaginationType();
-
-  // Prompt the user to decide whether they need Multer file uploader.
-  const multer = await booleanPrompt('Do you need Multer File Uploader?');
-
-  // Prompt the user to decide whether they want to use tabs as indentation or not
-  const prettier = await booleanPrompt(
-    'Do you want prettier to use tabs for indentation instead of spaces?',
-  );
-
-  return {
-    dockerComposeConfig,
-    customFilter,
-    customPipe,
-    customInterceptor,
-    swaggerConfig,
-    paginationType,
-    multer,
-    prettier,
-  };
-}
-
 /**
  * Finalize adding new feature to an existing project
  *
@@ -122,17 +117,37 @@ async function collectOptions() {
  * @param {string} targetDirectory The target directory where the project files should be created.
  * @param {string} packageManager The package manager to be used (e.g., npm, yarn, pnpm).
  * @param {Object} options Options for customizing project setup (including Docker config, Nest options, etc.).
+ * @param {Object} routes The routes of the project, used by the Nginx reverse proxy (see `dockerComposeGenerator()`).
  */
-async function featureFinalization(targetDirectory, packageManager, options) {
+async function featureFinalization(targetDirectory, packageManager, options, routes) {
   await tasks([
     {
       title: 'Adding features',
       task: async () => {
-        // Generate the Docker Compose file if Docker configuration is provided.
-        await dockerComposeGenerator(targetDirectory, options.dockerComposeConfig);
-
         // Copy required files into the project based on the options provided (e.g., filters, pipes, interceptors).
         await filesManager(targetDirectory, packageManager, options, true);
+
+        // Generate the Docker Compose file if Docker configuration is provided.
+        // It runs after the core files are in place, since it types its variables in `env.d.ts`.
+        await trackFeature('docker', () =>
+          dockerComposeGenerator(
+            targetDirectory,
+            options.dockerComposeConfig,
+            packageManager,
+            routes,
+          ),
+        );
+
+        // Register the logger module early, so it's available while the other modules initialize
+        if (options.winstonLogger) {
+          await registerAppModuleImport(targetDirectory, 'LoggerModule', './modules/logger', true);
+        }
+
+        // Register the added features in the existing `main.ts` file
+        await modifyMainTsFile(targetDirectory, options, true);
+
+        // Record the added features in the project manifest
+        await updateManifest(targetDirectory, packageManager, options);
       },
     },
   ]);
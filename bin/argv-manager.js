@@ -1,8 +1,15 @@
 import { addFeature } from './add-feature.js';
 import { displayFeaturesAndOptions } from './features-list.js';
+import { generate } from './generate.js';
 import { displayHelp } from './help.js';
 import { initialization } from './init.js';
+import { rollback } from './rollback.js';
 import { versionManager } from './version-manager.js';
+import { parseAddFeatureFlags } from '../lib/functions/add-feature-flags.js';
+import { parseGenerateFlags } from '../lib/functions/generate-flags.js';
+import { parseInitFlags } from '../lib/functions/init-flags.js';
+import { applyPreset } from '../lib/functions/preset-manager.js';
+import { parseRollbackFlags } from '../lib/functions/rollback-flags.js';
 
 /**
  * Manages command-line arguments and executes the corresponding functionality.
@@ -15,7 +22,9 @@ export function commandManager() {
     // No argument or valid initialization commands trigger initialization
     case undefined: // No arguments passed
     case 'init': // Full initialization command
-      initialization();
+      initialization(
+        parseCommandFlags(args => applyPreset(parseInitFlags(args)), process.argv.slice(3)),
+      );
       return;
 
     // Version flags trigger the version manager
@@ -30,9 +39,20 @@ export function commandManager() {
       displayHelp();
       break;
 
+    // Generate command creates code (e.g., resources) inside an existing project
+    case 'generate': // Full generate command
+    case 'g': // Short form for generate command
+      generate(parseCommandFlags(parseGenerateFlags, process.argv.slice(3)));
+      return;
+
     // Add-feature flag triggers the feature addition process
     case '--add-feature':
-      addFeature();
+      addFeature(parseCommandFlags(parseAddFeatureFlags, process.argv.slice(3)));
+      return;
+
+    // Rollback command undoes the last successful feature addition
+    case 'rollback':
+      rollback(parseCommandFlags(parseRollbackFlags, process.argv.slice(3)));
       return;
 
     // List-features flag displays the list of available features
@@ -50,3 +70,19 @@ export function commandManager() {
   // Exit the process with a success status code
   process.exit(0);
 }
+
+/**
+ * Parses the flags of a command, exiting with a failure code if they are invalid.
+ *
+ * @param {Function} parser The flag parser of the command.
+ * @param {string[]} args The command-line arguments following the command.
+ * @returns {Object} The parsed flags.
+ */
+function parseCommandFlags(parser, args) {
+  try {
+    return parser(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
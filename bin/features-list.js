@@ -1,4 +1,6 @@
 import chalk from 'chalk';
+import { SERVICE_CATALOG } from '../lib/docker/service-catalog.js';
+import { loadPlugins } from '../lib/plugins/plugin-registry.js';
 
 // Define available features and options
 const features = [
@@ -10,34 +12,35 @@ const features = [
   'Helmet Security Option',
   'Cors Security Option',
   'Fake Tech Stack Header',
-  'Pagination Utilities for TypeORM or Mongoose',
+  'Pagination Utilities for TypeORM, Mongoose or Prisma',
+  'Redis Cache Module with an In-Memory Fallback',
   'Multer File Upload Utility',
   'Prettier Configuration Setup',
   'Jest Configuration Setup',
   'API Prefix Setup',
   'API Version Setup',
+  'Resource Generator (nest-craft generate resource <name>)',
 ];
 
 const options = [
   'Docker Compose Services:',
-  '  - Node (Dockerfile included)',
-  '  - MongoDB',
-  '  - Mongo-Express',
-  '  - Redis',
-  '  - redisInsight',
-  '  - MySQL',
-  '  - PhpMyAdmin',
-  '  - PostgreSQL',
-  '  - pgAdmin',
-  '  - RabbitMQ',
-  '  - Elasticsearch',
-  '  - Kibana',
-  '  - Kafka',
-  '  - Nginx (Nginx basic config file included)',
+  ...SERVICE_CATALOG.filter(service => service.role !== 'support').map(
+    service => `  - ${service.label}${service.hint ? ` (${service.hint})` : ''}`,
+  ),
+  '',
+  'Database Modules:',
+  '  - TypeORM with PostgreSQL: Adds a DatabaseModule, a CLI data source and migration scripts',
+  '  - TypeORM with MySQL: Adds a DatabaseModule, a CLI data source and migration scripts',
+  '  - Mongoose with MongoDB: Adds a DatabaseModule, a base schema and a sample schema',
   '',
   'Pagination Utilities:',
   '  - TypeORM: Adds pagination utility for TypeORM',
   '  - Mongoose: Adds pagination utility for Mongoose',
+  '  - Prisma: Adds a PrismaService, a Prisma schema and a pagination utility',
+  '',
+  'Cache Modules:',
+  '  - Global: Caches every GET route with a global CacheInterceptor',
+  '  - Decorator: Caches the routes using @Cacheable()',
   '',
   'Custom Utilities:',
   '  - Exception Filters',
@@ -68,4 +71,26 @@ export function displayFeaturesAndOptions() {
   options.forEach(option => {
     console.log(option);
   });
+
+  displayPlugins();
+}
+
+// Function to display the installed feature plugins
+function displayPlugins() {
+  let plugins;
+  try {
+    plugins = loadPlugins();
+  } catch (error) {
+    console.log('\n' + chalk.red(`Couldn't load the plugins: ${error.message}`));
+    return;
+  }
+
+  if (!plugins.length) return;
+
+  console.log('\n' + chalk.blue.bold('Plugin Features:'));
+  plugins.forEach(plugin => {
+    const description = plugin.description ? `: ${plugin.description}` : '';
+    console.log(`  - ${plugin.name} (${chalk.cyan(plugin.id)})${description}`);
+    console.log(chalk.dim(`    from ${plugin.source}`));
+  });
 }
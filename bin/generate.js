@@ -0,0 +1,92 @@
+import { log, outro, tasks } from '@clack/prompts';
+import chalk from 'chalk';
+import path from 'path';
+import { detectPackageManager } from '../lib/functions/detect-package-manager.js';
+import { enableDryRun, isDryRun, printDryRunPlan } from '../lib/functions/dry-run.js';
+import { errorHandler } from '../lib/functions/error-handler.js';
+import { displayBanner } from '../lib/functions/main-banner.js';
+import { resolveProjectPaths } from '../lib/functions/resolve-project-path.js';
+import { generateResource, getResourceNames } from '../lib/generators/resource.generator.js';
+import { readManifest, recordResource } from '../lib/manifest/project-manifest.js';
+import { isNestProject } from '../lib/shell/shell.commands.js';
+
+/**
+ * Runs the `generate` command.
+ *
+ * @param {Object} flags The arguments parsed from the command line (see `parseGenerateFlags()`).
+ */
+export async function generate(flags) {
+  // Display the CLI banner and introduction message.
+  displayBanner(`Generating a new ${flags.schematic}`);
+
+  // Record the planned changes instead of applying them.
+  if (flags.dryRun) enableDryRun();
+
+  // Resolve the project paths based on the `--path` flag.
+  const { targetDirectory } = await resolveProjectPaths(flags.path);
+
+  try {
+    // Ensure the target directory contain a NestJS project
+    await isNestProject(targetDirectory);
+
+    // Reuse the manifest details of projects created by Nest Craft.
+    const manifest = await readManifest(targetDirectory);
+    const packageManager =
+      manifest?.packageManager ?? (await detectPackageManager(targetDirectory)) ?? 'npm';
+
+    const { fileName } = getResourceNames(flags.name);
+    let resource;
+
+    await tasks([
+      {
+        title: `Generating the ${fileName} resource`,
+        task: async () => {
+          resource = await generateResource(targetDirectory, flags.name, {
+            packageManager,
+            pagination: manifest?.features?.pagination?.type,
+            database: manifest?.features?.database?.type,
+          });
+
+          // Record the generated resource in the project manifest
+          await recordResource(targetDirectory, packageManager, fileName, resource);
+        },
+      },
+    ]);
+
+    if (resource.unconnectedPagination) {
+      log.warn(
+        `The project has no ${resource.unconnectedPagination} database connection, so the service keeps the records in memory. Add the database module with --add-feature to persist them.`,
+      );
+    }
+
+    if (!resource.swagger) {
+      log.warn(
+        '@nestjs/swagger is not installed, so the generated DTOs have no Swagger annotations.',
+      );
+    }
+
+    if (isDryRun()) {
+      // Print the planned changes instead of a success message.
+      printDryRunPlan(targetDirectory);
+      outro(
+        chalk.yellow('Dry run complete. Run the command again without "--dry-run" to apply it.'),
+      );
+      return;
+    }
+
+    log.message(
+      resource.files
+        .map(
+          file =>
+            `${chalk.green('create')} ${path.relative(targetDirectory.replaceAll('\\', ''), file)}`,
+        )
+        .join('\n'),
+    );
+
+    // Display a success message upon completing the generation.
+    outro(chalk.green(`The ${fileName} resource is ready at src/modules/${fileName}.`));
+  } catch (error) {
+    // Handle errors by displaying the error message.
+    await errorHandler(error);
+  }
+}
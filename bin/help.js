@@ -2,20 +2,68 @@
  * Displays help information for the CLI tool.
  */
 export function displayHelp() {
-  console.log(`Usage: nest-craft [command]
+  console.log(`Usage: nest-craft [command] [options]
 
 Commands:
   init                 Initialize a new NestJS project
   --version, -v        Display the current version of NestCraft
   --help, -h           Show this help message
+  generate resource <name>
+                       Generate a CRUD module under src/modules/<name> (alias: g res <name>)
   --add-feature        Add features such as Docker config, Swagger, custom filters, pagination modules, etc to an existing project.
+  rollback             Undo the last successful "--add-feature" run
   --list-features, -l  Display a list of available features for use with the "init" and "--add-feature" commands
 
+Init options (any answer not provided is prompted for):
+  --name <name>                  Project name or path
+  --package-manager <name>       npm, yarn or pnpm
+  --git, --skip-git              Initialize (or skip) a Git repository
+  --docker-services <list>       Comma-separated Docker services (e.g. node,postgresql,redis) or "none"
+  --network <name>               Custom Docker network (requires --docker-services)
+  --no-docker                    Don't generate a docker-compose file
+  --features <list>              Comma-separated features: swagger, filter, pipe, interceptor,
+                                 winston, multer, user-definition (or "none")
+  --security <list>              Comma-separated security options: cors, helmet, fake-headers (or "none")
+  --database <type>              Database module: typeorm-postgresql, typeorm-mysql, mongoose or none
+  --pagination <type>            typeorm, mongoose, prisma or none
+  --cache <mode>                 Cache module: global (every GET route), decorator (@Cacheable routes) or none
+  --prefix <prefix>, --no-prefix Set (or skip) the global API prefix
+  --versioning, --no-versioning  Enable (or skip) URI-based API versioning
+  --tabs, --no-tabs              Use tabs (or spaces) for indentation in prettier
+  --nest-options=<options>       Additional "nest new" options (e.g. --nest-options="--strict")
+  --plugins <list>               Comma-separated plugin features to apply (or "none")
+  --plugin <path>                Load a local plugin directory (repeatable)
+  --yes, -y                      Use default values for every missing answer instead of prompting
+  --preset <path|name>           Replay the answers saved in a preset file or a named preset
+  --save-preset <name>           Save the answers of this run as a named preset in ~/.nest-craft/presets
+  --dry-run                      Print the planned commands, files and diffs without writing anything
+
+Generate options:
+  --path <dir>                   Path of the target project (default: current directory)
+  --dry-run                      Print the planned commands, files and diffs without writing anything
+
+Add-feature options:
+  --dry-run                      Print the planned commands, files and diffs without writing anything
+  --plugin <path>                Load a local plugin directory (repeatable)
+
+Rollback options:
+  --path <dir>                   Path of the target project (default: current directory)
+  --yes, -y                      Undo the changes without asking for confirmation
+
 Examples:
   nest-craft init             Initialize a new project
+  nest-craft init --yes --name my-api --package-manager pnpm --features swagger,filter,pipe
+                              Initialize a new project without any prompts
+  nest-craft init --preset ./team.nestcraft.json --name billing-service
+                              Initialize a new project from a preset file
+  nest-craft generate resource blog-posts
+                              Generate the blog-posts module in the current project
   nest-craft --version        Display the tool version
   nest-craft --help           Show this help message
   nest-craft --add-feature    Add additional features to the project
+  nest-craft --add-feature --dry-run
+                              Preview the changes of adding features to the project
+  nest-craft rollback         Undo the last features added to the project
   nest-craft --list-features  Display available features and options
 `);
 }
@@ -1,21 +1,22 @@
-import { outro, tasks } from '@clack/prompts';
+import { log, outro, tasks } from '@clack/prompts';
 import chalk from 'chalk';
 import { dockerComposeGenerator } from '../lib/docker/config-generator.js';
-import { selectDockerServices } from '../lib/docker/service-selector.js';
 import { filesManager } from '../lib/files/files.manager.js';
 import { modifyMainTsFile } from '../lib/files/main-file.modifier.js';
 import { updateJestConfig } from '../lib/files/package-json.modifier.js';
+import { enableDryRun, isDryRun, printDryRunPlan } from '../lib/functions/dry-run.js';
 import { ensureDirectoryPermissions } from '../lib/functions/ensure-dir-permission.js';
 import { errorHandler } from '../lib/functions/error-handler.js';
 import { displayBanner } from '../lib/functions/main-banner.js';
 import { createParentDirectory } from '../lib/functions/parent-dir-manager.js';
+import { savePreset } from '../lib/functions/preset-manager.js';
 import { resolveProjectPaths } from '../lib/functions/resolve-project-path.js';
-import { booleanPrompt } from '../lib/prompts/boolean.prompt.js';
+import { trackFeature } from '../lib/manifest/feature-tracker.js';
+import { updateManifest } from '../lib/manifest/project-manifest.js';
+import { loadPlugins } from '../lib/plugins/plugin-registry.js';
 import { cancelPrompt } from '../lib/prompts/cancel.prompt.js';
-import { promptGlobalPrefix } from '../lib/prompts/global-prefix.prompt.js';
 import { promptPackageManager } from '../lib/prompts/package-manager.prompt.js';
-import { promptPaginationType } from '../lib/prompts/pagination.prompt.js';
-import { promptSecurityOptions } from '../lib/prompts/security-options.prompt.js';
+import { collectOptions, resolveAnswer } from '../lib/prompts/project-options.prompt.js';
 import { selectPrompt } from '../lib/prompts/select.prompt.js';
 import { textPrompt } from '../lib/prompts/text.prompt.js';
 import {
@@ -25,17 +26,28 @@ import {
   runPrettier,
 } from '../lib/shell/shell.commands.js';
 
-export async function initialization() {
+/**
+ * Runs the `init` command.
+ *
+ * Answers provided through command-line flags are used as-is, and only the missing ones
+ * are prompted for. In `--yes` mode, missing answers fall back to their default values
+ * and the command never waits for user input.
+ *
+ * @param {Object} [answers] The answers parsed from the command-line flags (see `parseInitFlags()`).
+ */
+export async function initialization(answers = { yes: false, options: {} }) {
   // Display the CLI banner and introduction message.
   displayBanner('Welcome to the new way of creating NestJS projects');
 
+  // Record the planned changes instead of applying them.
+  if (answers.dryRun) enableDryRun();
+
   // Initialize a variable to store the newly created directory for error handling.
   let newDirectory;
 
   // Prompt the user to input a project name.
-  const projectNameInput = await textPrompt(
-    "What do you want to call your project? (Don't use spaces)",
-    true,
+  const projectNameInput = await resolveAnswer(answers.projectName, undefined, false, () =>
+    textPrompt("What do you want to call your project? (Don't use spaces)", true),
   );
   // Handle cancellation during the prompt.
   cancelPrompt(projectNameInput);
@@ -49,15 +61,23 @@ export async function initialization() {
     await ensureDirectoryPermissions(targetDirectory, parentDirectory);
 
     // Prompt the user to decide if they want to initialize a Git repository.
-    const gitStatus = await promptGitRepo();
+    const gitStatus = await resolveAnswer(answers.gitStatus, '', answers.yes, promptGitRepo);
     cancelPrompt(gitStatus); // Handle cancellation during the prompt.
 
     // Prompt the user to select a package manager.
-    const packageManager = await promptPackageManager();
+    const packageManager = await resolveAnswer(
+      answers.packageManager,
+      'npm',
+      answers.yes,
+      promptPackageManager,
+    );
     cancelPrompt(packageManager); // Handle cancellation during the prompt.
 
+    // Load the feature plugins, so they can be selected along with the built-in features.
+    loadPlugins(answers.pluginPaths);
+
     // Collect additional project configuration options from the user.
-    const options = await collectOptions();
+    const options = await collectOptions(answers.options, answers.yes);
 
     // Create the parent directory for the project.
     newDirectory = await createParentDirectory(parentDirectory);
@@ -72,6 +92,20 @@ export async function initialization() {
       targetDirectory, // Target directory for the project.
     );
 
+    if (isDryRun()) {
+      // Print the planned changes instead of a success message.
+      printDryRunPlan(targetDirectory);
+      outro(
+        chalk.yellow('Dry run complete. Run the command again without "--dry-run" to apply it.'),
+      );
+      return;
+    }
+
+    // Save the answers as a named preset when requested.
+    if (answers.savePreset) {
+      saveAnswersAsPreset(answers.savePreset, { gitStatus, packageManager, options });
+    }
+
     // Display a success message upon completing the project setup.
     outro(chalk.green('Thanks for using Nest Craft! Your project is ready.'));
   } catch (error) {
@@ -80,6 +114,23 @@ export async function initialization() {
   }
 }
 
+/**
+ * Saves the answers of the current run as a named preset.
+ *
+ * The project is already created at this point, so a failure is only reported as a warning.
+ *
+ * @param {string} name The preset name.
+ * @param {Object} answers The resolved answers (Git status, package manager and options).
+ */
+function saveAnswersAsPreset(name, answers) {
+  try {
+    const presetPath = savePreset(name, answers);
+    log.success(`Saved preset "${name}" to ${presetPath}`);
+  } catch (error) {
+    log.warn(`Failed to save preset "${name}": ${error.message}`);
+  }
+}
+
 /**
  * Prompts the user to decide whether to initialize a Git repository.
  *
@@ -98,119 +149,6 @@ async function promptGitRepo() {
   ]);
 }
 
-/**
- * Collects various configuration options for the project.
- *
- * This function prompts the user to select or input various options such as:
- * - Docker service configuration
- * - Custom exception filter, pipe, and interceptor
- * - Swagger configuration
- * - User definition for `request.user`
- * - Pagination utility
- * - Multer file uploader
- * - Prettier tab indentation
- * - API prefix setup
- * - Additional NestJS options
- *
- * @returns {Promise<Object>} An object containing the selected options:
- * - dockerComposeConfig: The selected Docker services configuration.
- * - customFilter: Boolean indicating if a custom exception filter is needed.
- * - customPipe: Boolean indicating if a custom pipe is needed.
- * - customInterceptor: Boolean indicating if a custom response interceptor is needed.
- * - swaggerConfig: Boolean indicating if Swagger config is needed.
- * - userDefinition: Boolean indicating if a user definition for `request.user` is needed.
- * - paginationType: The selected pagination utility type (if any).
- * - multer: Boolean indicating if Multer file uploader is needed.
- * - prettier: Boolean indicating if prettier should use tab indentation.
- * - prefix: Boolean and text indicating if user want to use API prefix in their app.
- * - nestOptions: Sanitized additional NestJS options.
- */
-async function collectOptions() {
-  // Prompt the user to select Docker services configuration.
-  const dockerComposeConfig = await selectDockerServices();
-
-  // Prompt the user to decide whether they need a custom exception filter.
-  const customFilter = await booleanPrompt('Do you need a Custom Exception Filter?');
-
-  // Prompt the user to decide whether they need a custom unprocessable entity pipe.
-  const customPipe = await booleanPrompt('Do you need a Custom Unprocessable Entity Pipe?');
-
-  // Prompt the user to decide whether they need a custom response interceptor.
-  const customInterceptor = await booleanPrompt('Do you need a Custom Response Interceptor?');
-
-  // Prompt the user to decide whether they need Swagger configuration.
-  const swaggerConfig = await booleanPrompt('Do you need Swagger config?');
-
-  // Prompt the user to decide whether they need security options.
-  const securityOptions = await promptSecurityOptions();
-
-  // Prompt the user to decide whether they need a user definition for `request.user`.
-  const userDefinition = await booleanPrompt('Do you need a User Definition for `request.user`?');
-
-  // Prompt the user to select a pagination utility type (TypeORM, Mongoose, or None).
-  const paginationType = await promptPaginationType();
-
-  // Prompt the user to decide whether they need Multer file uploader.
-  const multer = await booleanPrompt('Do you need Multer File Uploader?');
-
-  // Prompt the user to decide whether they need a custom Winston Logger or not
-  const winstonLogger = await booleanPrompt('Do you need a custom Winston Logger?');
-
-  // Prompt the user to decide whether they want to use tabs as indentation or not
-  const prettier = await booleanPrompt(
-    'Do you want prettier to use tabs for indentation instead of spaces?',
-  );
-
-  // Prompt the user to decide whether they want to use API prefix or not
-  const prefix = await promptGlobalPrefix();
-
-  // Prompt the user to decide whether they want to enable API versioning or not
-  const apiVersioning = await booleanPrompt('Do you want to enable API versioning in your app?');
-
-  // Prompt the user for any additional 'nest new' options.
-  const nestOptions = await textPrompt("Enter any other 'nest new' options you need.", false);
-  cancelPrompt(nestOptions); // Handle cancellation during the prompt.
-
-  return {
-    dockerComposeConfig,
-    customFilter,
-    customPipe,
-    customInterceptor,
-    swaggerConfig,
-    securityOptions,
-    userDefinition,
-    paginationType,
-    multer,
-    winstonLogger,
-    prettier,
-    prefix,
-    apiVersioning,
-    nestOptions: sanitizeNestOptions(nestOptions),
-  };
-}
-
-/**
- * Sanitizes the provided NestJS options by removing specific flags.
- *
- * This function removes the following options from the input string:
- * - `--skip-git`: Option to skip Git initialization.
- * - `--package-manager <name>`: Option to specify a package manager (npm, yarn, pnpm).
- *
- * @param {string} nestOptions The raw options string to sanitize.
- * @returns {string} The sanitized options string with specific flags removed.
- */
-function sanitizeNestOptions(nestOptions) {
-  // If no options are provided, return an empty string.
-  if (!nestOptions) return '';
-
-  // Remove unnecessary flags from the options string (skip-git, package-manager).
-  return nestOptions
-    .replace('--skip-git', '') // Remove skip-git flag.
-    .replace('--package-manager npm', '') // Remove npm package manager flag.
-    .replace('--package-manager yarn', '') // Remove yarn package manager flag.
-    .replace('--package-manager pnpm', ''); // Remove pnpm package manager flag.
-}
-
 /**
  * Initializes a new project by performing a series of setup tasks.
  *
@@ -239,17 +177,16 @@ async function initializeProject(
       title: 'Initializing Project',
       task: async () => {
         // Create the project using the specified parent directory, project name, Git status, package manager, and additional Nest options.
-        await createProject(
-          parentDirectory,
-          projectName,
-          gitStatus,
-          packageManager,
-          options.nestOptions,
+        await trackFeature('core', () =>
+          createProject(
+            parentDirectory,
+            projectName,
+            gitStatus,
+            packageManager,
+            options.nestOptions,
+          ),
         );
 
-        // Generate the Docker Compose file if Docker configuration is provided.
-        await dockerComposeGenerator(targetDirectory, options.dockerComposeConfig);
-
         // Create the main directories needed for the project.
         await makeMainDirectories(targetDirectory);
 
@@ -259,12 +196,24 @@ async function initializeProject(
         // Copy required files into the project based on the options provided (e.g., filters, pipes, interceptors).
         await filesManager(targetDirectory, packageManager, options);
 
+        // Generate the Docker Compose file if Docker configuration is provided.
+        // It runs after the core files are in place, since it types its variables in `env.d.ts`.
+        await trackFeature('docker', () =>
+          dockerComposeGenerator(targetDirectory, options.dockerComposeConfig, packageManager, {
+            prefix: options.prefix,
+            swagger: options.swaggerConfig,
+          }),
+        );
+
         // Modify `main.ts` file and add required utilities
         await modifyMainTsFile(targetDirectory, options);
 
         // Update jest config to make tests to accept absolute path
         await updateJestConfig(targetDirectory);
 
+        // Record the applied features in the project manifest
+        await updateManifest(targetDirectory, packageManager, options);
+
         // Reformat project files by the new prettier config
         await runPrettier(targetDirectory);
       },
@@ -0,0 +1,60 @@
+import { log, outro, tasks } from '@clack/prompts';
+import chalk from 'chalk';
+import { readLastRunJournal, rollbackLastRun } from '../lib/functions/change-journal.js';
+import { errorHandler } from '../lib/functions/error-handler.js';
+import { displayBanner } from '../lib/functions/main-banner.js';
+import { resolveProjectPaths } from '../lib/functions/resolve-project-path.js';
+import { booleanPrompt } from '../lib/prompts/boolean.prompt.js';
+
+/**
+ * Runs the `rollback` command, undoing the last successful `--add-feature` run.
+ *
+ * @param {Object} flags The flags parsed from the command line (see `parseRollbackFlags()`).
+ */
+export async function rollback(flags) {
+  // Display the CLI banner and introduction message.
+  displayBanner('Rolling back the last change');
+
+  // Resolve the project paths based on the `--path` flag.
+  const { targetDirectory } = await resolveProjectPaths(flags.path);
+
+  try {
+    const journal = await readLastRunJournal(targetDirectory);
+    if (!journal) throw new Error('There is no Nest Craft run to roll back.');
+
+    // Show what is about to be restored
+    const changedFiles = journal.files.map(file =>
+      file.existed
+        ? `${chalk.yellow('restore')} ${file.path}`
+        : `${chalk.red('remove ')} ${file.path}`,
+    );
+    const createdDirectories = journal.directories.map(
+      directory => `${chalk.red('remove ')} ${directory}/`,
+    );
+    log.info(`Last run: ${new Date(journal.createdAt).toLocaleString()}`);
+    log.message([...changedFiles, ...createdDirectories].join('\n'));
+
+    const confirmed = flags.yes || (await booleanPrompt('Do you want to undo these changes?'));
+    if (!confirmed) {
+      outro(chalk.yellow('Rollback cancelled, nothing has been changed.'));
+      return;
+    }
+
+    await tasks([
+      {
+        title: journal.dependencies
+          ? 'Restoring files and reinstalling dependencies'
+          : 'Restoring files',
+        task: async () => {
+          await rollbackLastRun(targetDirectory);
+        },
+      },
+    ]);
+
+    // Display a success message upon completing the rollback.
+    outro(chalk.green('The project has been restored to its state before the last run.'));
+  } catch (error) {
+    // Handle errors by displaying the error message.
+    await errorHandler(error);
+  }
+}
@@ -0,0 +1,280 @@
+import YAML from 'yaml';
+
+// Top-level sections whose entries are merged by name
+const MERGED_SECTIONS = ['networks', 'volumes', 'secrets', 'services'];
+
+/**
+ * Merges a generated compose file into the compose file a project already has. Only the
+ * services, networks, volumes and secrets missing from the existing file are added, after its own
+ * entries; the existing entries, comments and ordering are kept as they are.
+ *
+ * Conflicts are reported rather than resolved:
+ * - A generated service whose name is already used by a different service is skipped, and the
+ *   existing one is kept.
+ *   The added services wait for it with `condition: service_started` if it has no healthcheck.
+ *   The existing application service still receives the `depends_on` entries and the
+ *   `environment` variables it lacks (e.g., the in-network host of an added database), so it
+ *   waits for and connects to the added services; its other keys are left untouched.
+ * - An added service publishing a host port already published by an existing service is
+ *   still added, so the services depending on it stay valid.
+ *
+ * @param {string} fileName The name of the compose file (used in error messages).
+ * @param {string} existingContent The content of the existing compose file.
+ * @param {string} generatedContent The content of the generated compose file.
+ * @param {Object<string, string>} variables The variables used to resolve `${VAR}` host ports
+ * (e.g., the values of the project's `.env`).
+ * @param {string[]} [appServices=[]] The application services, extended with the missing
+ * `depends_on` and `environment` entries when they already exist.
+ * @returns {{ content: string, conflicts: string[] }} The merged content and the conflicts found.
+ * @throws {Error} If the existing file isn't a valid compose file.
+ */
+export function mergeComposeFiles(
+  fileName,
+  existingContent,
+  generatedContent,
+  variables,
+  appServices = [],
+) {
+  const existing = YAML.parseDocument(existingContent);
+  if (existing.errors.length) {
+    throw new Error(`Couldn't parse the existing ${fileName}: ${existing.errors[0].message}`);
+  }
+
+  existing.contents ??= new YAML.YAMLMap(); // Empty file
+  if (!YAML.isMap(existing.contents)) {
+    throw new Error(`The existing ${fileName} isn't a compose file. Merge it manually.`);
+  }
+
+  const generated = YAML.parseDocument(generatedContent);
+  const conflicts = [];
+
+  // Host ports published by the existing services, with the service publishing them
+  const publishedPorts = new Map();
+  for (const service of getEntries(existing, 'services')) {
+    for (const port of getHostPorts(service.value, variables)) {
+      publishedPorts.set(port, service.key.value);
+    }
+  }
+
+  // Existing services without a healthcheck can only be awaited until they start
+  for (const service of getEntries(generated, 'services')) {
+    const dependencies = YAML.isMap(service.value) ? service.value.get('depends_on') : undefined;
+    if (!YAML.isMap(dependencies)) continue;
+
+    for (const dependency of dependencies.items) {
+      const existingDependency = existing.getIn(['services', dependency.key.value]);
+      if (YAML.isMap(existingDependency) && !existingDependency.has('healthcheck')) {
+        dependency.value.set('condition', 'service_started');
+      }
+    }
+  }
+
+  for (const section of MERGED_SECTIONS) {
+    for (const entry of getEntries(generated, section)) {
+      const name = entry.key.value;
+
+      if (existing.hasIn([section, name])) {
+        const existingEntry = existing.getIn([section, name]);
+        const added =
+          section === 'services' && appServices.includes(name)
+            ? extendAppService(existingEntry, entry.value)
+            : [];
+
+        // Networks, volumes and secrets of the same name are shared on purpose, and a service generated
+        // by a previous run is left alone
+        if (section === 'services' && !isEqual(existingEntry, entry.value)) {
+          conflicts.push(
+            added.length
+              ? `The "${name}" service already exists in ${fileName}, it was kept as is apart from the added ${added.join(' and ')}.`
+              : `The "${name}" service already exists in ${fileName}, it was kept as is.`,
+          );
+        }
+        continue;
+      }
+
+      if (section === 'services') {
+        for (const port of getHostPorts(entry.value, variables)) {
+          if (!publishedPorts.has(port)) continue;
+
+          conflicts.push(
+            `The "${name}" service publishes port ${port}, already used by the "${publishedPorts.get(port)}" service of ${fileName}.`,
+          );
+        }
+      }
+
+      addEntry(existing, section, entry);
+    }
+  }
+
+  return {
+    content: existing.toString({ lineWidth: 0, flowCollectionPadding: false }),
+    conflicts,
+  };
+}
+
+/**
+ * Adds the `depends_on` entries and the `environment` variables of a generated application
+ * service missing from the existing one, in the syntax (list or map) the existing service uses.
+ *
+ * @param {YAML.Node} service The existing service definition, updated in place.
+ * @param {YAML.Node} generatedService The generated service definition.
+ * @returns {string[]} The descriptions of the added entries (e.g., `depends_on entries (postgresql)`).
+ */
+function extendAppService(service, generatedService) {
+  if (!YAML.isMap(service) || !YAML.isMap(generatedService)) return [];
+
+  const added = [];
+
+  const generatedDependencies = generatedService.get('depends_on');
+  const dependencies = YAML.isMap(generatedDependencies)
+    ? addMissingItems(
+        service,
+        'depends_on',
+        generatedDependencies.items.map(dependency => ({
+          name: dependency.key.value,
+          pair: dependency,
+          scalar: dependency.key.value,
+        })),
+      )
+    : [];
+  if (dependencies.length) added.push(`depends_on entries (${dependencies.join(', ')})`);
+
+  const generatedEnvironment = generatedService.get('environment');
+  const environment = YAML.isSeq(generatedEnvironment)
+    ? addMissingItems(
+        service,
+        'environment',
+        generatedEnvironment.items.map(variable => {
+          const [name, ...value] = String(variable.value).split('=');
+          return { name, pair: new YAML.Pair(name, value.join('=')), scalar: variable.value };
+        }),
+      )
+    : [];
+  if (environment.length) added.push(`environment variables (${environment.join(', ')})`);
+
+  return added;
+}
+
+/**
+ * Adds the items missing from a list or map key of a service (e.g., `environment`), creating the
+ * key as a list if the service doesn't have it.
+ *
+ * @param {YAML.YAMLMap} service The service definition, updated in place.
+ * @param {string} key The key holding the items.
+ * @param {{ name: string, pair: YAML.Pair, scalar: string }[]} items The items to add, with
+ * their name, their map syntax and their list syntax.
+ * @returns {string[]} The names of the added items.
+ */
+function addMissingItems(service, key, items) {
+  let collection = service.get(key);
+  if (collection === undefined) {
+    collection = key === 'depends_on' ? new YAML.YAMLMap() : new YAML.YAMLSeq();
+  } else if (!YAML.isMap(collection) && !YAML.isSeq(collection)) {
+    return []; // Left to the user
+  }
+
+  // Names of the existing items, e.g. `POSTGRES_HOST` for `POSTGRES_HOST=postgresql`
+  const names = YAML.isMap(collection)
+    ? collection.items.map(item => String(item.key.value))
+    : collection.items.map(item => String(item.value).split('=')[0]);
+
+  const missing = items.filter(item => !names.includes(item.name));
+  if (!missing.length) return [];
+
+  for (const item of missing) {
+    collection.items.push(YAML.isMap(collection) ? item.pair : new YAML.Scalar(item.scalar));
+  }
+  if (!service.has(key)) service.set(key, collection);
+
+  return missing.map(item => item.name);
+}
+
+/**
+ * Lists the entries of a top-level section of a compose file.
+ *
+ * @param {YAML.Document} document The compose file.
+ * @param {string} section The section name (e.g., `services`).
+ * @returns {YAML.Pair[]} The entries, or an empty list if the section isn't a map.
+ */
+function getEntries(document, section) {
+  const map = document.get(section);
+  return YAML.isMap(map) ? map.items : [];
+}
+
+/**
+ * Checks whether two YAML nodes hold the same data, regardless of their formatting and comments.
+ *
+ * @param {YAML.Node} first The first node.
+ * @param {YAML.Node} second The second node.
+ * @returns {boolean} `true` if the nodes hold the same data.
+ */
+function isEqual(first, second) {
+  const toData = node => JSON.stringify(YAML.isNode(node) ? node.toJSON() : node);
+  return toData(first) === toData(second);
+}
+
+/**
+ * Adds an entry at the end of a top-level section, creating the section at the end of the file
+ * if needed.
+ *
+ * @param {YAML.Document} document The compose file.
+ * @param {string} section The section name.
+ * @param {YAML.Pair} entry The entry to add.
+ */
+function addEntry(document, section, entry) {
+  let map = document.get(section);
+
+  if (!YAML.isMap(map)) {
+    map = new YAML.YAMLMap();
+    const sectionEntry = document.createPair(section, map);
+
+    // Separate the new section from the existing ones
+    if (document.contents.items.length) sectionEntry.key.spaceBefore = true;
+    document.contents.items.push(sectionEntry);
+  } else if (section === 'services') {
+    // Separate the services with a blank line, like the generated files
+    entry.key.spaceBefore = true;
+  }
+
+  map.items.push(entry);
+}
+
+/**
+ * Lists the host ports published by a service, resolving their `${VAR}` and `${VAR:-default}`
+ * references with the given variables.
+ *
+ * @param {YAML.Node} service The service definition.
+ * @param {Object<string, string>} variables The variable values, keyed by name.
+ * @returns {string[]} The published host ports.
+ */
+function getHostPorts(service, variables) {
+  const ports = YAML.isMap(service) ? service.get('ports') : undefined;
+  if (!YAML.isSeq(ports)) return [];
+
+  return ports.items
+    .map(port => {
+      // Long syntax, e.g. `{ target: 80, published: 8080 }`
+      if (YAML.isMap(port)) return port.get('published');
+
+      // Short syntax: `[ip:]host:container[/protocol]`, or a container port only
+      const parts = resolveVariables(String(port.value), variables).split('/')[0].split(':');
+      return parts.length > 1 ? parts[parts.length - 2] : undefined;
+    })
+    .filter(port => port !== undefined && port !== '')
+    .map(port => resolveVariables(String(port), variables));
+}
+
+/**
+ * Replaces the `${VAR}` and `${VAR:-default}` references of a value, like Docker Compose.
+ * References to unknown variables without a default are kept.
+ *
+ * @param {string} value The value.
+ * @param {Object<string, string>} variables The variable values, keyed by name.
+ * @returns {string} The resolved value.
+ */
+function resolveVariables(value, variables) {
+  return value.replace(
+    /\$\{(\w+)(?::?-([^}]*))?\}/g,
+    (reference, name, defaultValue) => variables[name] ?? defaultValue ?? reference,
+  );
+}
@@ -1,49 +1,321 @@
+import { randomBytes } from 'crypto';
 import fs from 'fs/promises';
 import os from 'os';
 import path from 'path';
-import { copyFile, moveFile } from '../shell/shell.commands.js';
+import { log } from '@clack/prompts';
+import {
+  appendTextFile,
+  copyFile,
+  createDirectory,
+  existsFile,
+  moveFile,
+  readTextFile,
+  writeTextFile,
+} from '../shell/shell.commands.js';
+import { addEnvDefinitions, appendEnvEntry, readEnvVariables } from '../files/env-file.modifier.js';
+import { detectBusyPorts } from '../functions/detect-busy-ports.js';
+import { LOCKFILES } from '../functions/detect-package-manager.js';
 import { mainProjectPath } from '../functions/main-project-path.js';
-import { ServicesName } from './enums/services.enum.js';
+import { renderTemplate } from '../plugins/plugin-registry.js';
+import { mergeComposeFiles } from './compose-merger.js';
+import { expandVariables, getService, resolveServices } from './service-catalog.js';
+
+// Dockerfile commands of each supported package manager
+const PACKAGE_MANAGER_COMMANDS = {
+  npm: {
+    install: 'npm ci',
+    build: 'npm run build',
+    prune: 'npm prune --omit=dev',
+    develop: 'npm run start:dev -- --debug 0.0.0.0:9229',
+    generate: 'npm run prisma:generate',
+  },
+  yarn: {
+    install: 'yarn install --frozen-lockfile',
+    build: 'yarn build',
+    prune: 'yarn install --frozen-lockfile --production --ignore-scripts --prefer-offline',
+    develop: 'yarn start:dev --debug 0.0.0.0:9229',
+    generate: 'yarn prisma:generate',
+  },
+  pnpm: {
+    install: 'corepack enable && pnpm install --frozen-lockfile',
+    build: 'pnpm build',
+    prune: 'pnpm prune --prod',
+    develop: 'pnpm start:dev --debug 0.0.0.0:9229',
+    generate: 'pnpm prisma:generate',
+  },
+};
+
+// Prisma schema, whose client the Dockerfile generates before running the application
+const PRISMA_SCHEMA = 'prisma/schema.prisma';
+
+// Value of the generated secrets in `.env.example`
+const SECRET_PLACEHOLDER = 'change-me';
+
+// Directory holding the Docker secrets files, relative to the project root
+const SECRETS_DIRECTORY = 'secrets';
+
+// Compose files holding the overrides of each environment, next to the base docker-compose.yml
+const ENVIRONMENT_FILES = {
+  development: 'docker-compose.override.yml', // Loaded automatically by `docker compose up`
+  production: 'docker-compose.prod.yml',
+};
 
 /**
- * Generates a docker-compose.yml file based on the provided configuration.
+ * Generates a docker-compose.yml file based on the provided configuration, along with the
+ * connection variables of its services in the env files and in `env.d.ts`.
+ *
+ * The base file holds the services shared by every environment. The development overrides
+ * (the application in watch mode and the admin UIs) go to `docker-compose.override.yml`, and the
+ * production overrides to `docker-compose.prod.yml`. Compose files the project already has are
+ * merged with the generated ones rather than replaced (see `mergeComposeFiles()`).
+ *
+ * Nothing is written if two services publish the same host port, and the host ports already in
+ * use on this machine are reported. Passwords are generated randomly for each project and kept
+ * in the git-ignored `.env`, while `.env.example` holds placeholders.
  * @param {string} projectPath - Path to the project directory.
  * @param {Object} dockerComposeConfig - Docker Compose configuration.
+ * @param {Object<string, Object<string, number>>} [dockerComposeConfig.ports] - The custom host ports, keyed by service and container port.
+ * @param {Object<string, string>} [dockerComposeConfig.tags] - The custom image tags, keyed by service.
+ * @param {boolean} [dockerComposeConfig.namespace] - Whether to prefix the container names with the project directory name.
+ * @param {boolean} [dockerComposeConfig.secrets] - Whether the containers read the database passwords from Docker secrets files.
+ * @param {string} packageManager - The package manager of the project (e.g., npm, yarn, pnpm), used by the Dockerfile.
+ * @param {Object} [routes={}] - The routes of the application, used by the Nginx reverse proxy.
+ * @param {string} [routes.prefix] - The global API prefix, if any.
+ * @param {boolean} [routes.swagger] - Whether the application serves the Swagger UI on `/api-doc`.
  * @returns {Promise<void>}
+ * @throws {Error} If two services publish the same host port.
  */
-export async function dockerComposeGenerator(projectPath, dockerComposeConfig) {
+export async function dockerComposeGenerator(
+  projectPath,
+  dockerComposeConfig,
+  packageManager,
+  routes = {},
+) {
   if (!dockerComposeConfig.status) return;
 
   const basePath = mainProjectPath(import.meta.url);
-  const tempFilePath = await createTempDockerComposeFile();
+  const services = resolveServices(dockerComposeConfig.services);
 
-  const dockerComposeContent = await generateDockerComposeContent(dockerComposeConfig, basePath);
+  // Image, container name and ports of each service, with the user's customizations
+  const settings = Object.fromEntries(
+    services.map(service => [
+      service,
+      getServiceSettings(service, dockerComposeConfig, path.basename(projectPath)),
+    ]),
+  );
+
+  // Values of the `{{ name }}` placeholders of the templates
+  const commands = PACKAGE_MANAGER_COMMANDS[packageManager];
+  const variables = {
+    lockfile: LOCKFILES[packageManager],
+    ...commands,
+    // The Prisma client is generated into `node_modules`, so the image has to generate it itself
+    prismaGenerate: (await existsFile(path.join(projectPath, PRISMA_SCHEMA)))
+      ? `RUN ${commands.generate}\n\n`
+      : '',
+    nodeImage: getServiceSettings('node', dockerComposeConfig).image,
+    port: getService('node').ports[0].container,
+    locations: renderProxyLocations(routes),
+  };
+
+  const composeVariables = await getComposeVariables(projectPath, services, settings);
+  await checkHostPorts(services, settings, composeVariables);
+
+  const composeFiles = await generateDockerComposeFiles(
+    dockerComposeConfig,
+    basePath,
+    variables,
+    settings,
+  );
+  for (const [fileName, generatedContent] of Object.entries(composeFiles)) {
+    const filePath = path.join(projectPath, fileName);
+    let content = generatedContent;
+
+    // Keep the services and edits of an existing compose file
+    if (await existsFile(filePath)) {
+      const merge = mergeComposeFiles(
+        fileName,
+        await readTextFile(filePath),
+        generatedContent,
+        composeVariables,
+        services.filter(service => getService(service).role === 'app'),
+      );
+      merge.conflicts.forEach(conflict => log.warn(conflict));
+      content = merge.content;
+    }
 
-  // Write the content to the temporary file and move it to the target directory
-  await fs.writeFile(tempFilePath, dockerComposeContent, 'utf8');
-  await moveFile(tempFilePath, path.join(projectPath, 'docker-compose.yml'));
+    // Write the content to the temporary file and move it to the target directory
+    const tempFilePath = await createTempDockerComposeFile(fileName);
+    await fs.writeFile(tempFilePath, content, 'utf8');
+    await moveFile(tempFilePath, filePath);
+  }
 
   // Handle additional files (e.g., Dockerfile, nginx.conf) based on services
-  await handleAdditionalFiles(projectPath, basePath, dockerComposeConfig.services);
+  await handleAdditionalFiles(projectPath, basePath, services, variables);
+
+  // Share the connection settings of the services with the application
+  await handleConnectionVariables(projectPath, services, settings);
+
+  await handleSecretFiles(projectPath, services, settings, composeVariables);
+
+  // Keep the generated secrets out of the repository
+  await addGitignoreEntries(projectPath, [
+    '.env',
+    ...(dockerComposeConfig.secrets ? [`${SECRETS_DIRECTORY}/`] : []),
+  ]);
+}
+
+/**
+ * Writes the connection variables of a service to the env files and types them in `env.d.ts`,
+ * for the features connecting to it (e.g., the database module), whether or not it's part of the
+ * compose files. Services already set up are skipped.
+ * @param {string} projectPath - Path to the project directory.
+ * @param {string} service - Service name (e.g., `postgresql`).
+ * @param {Object} [dockerComposeConfig={}] - Docker Compose configuration, whose custom host ports are used.
+ * @returns {Promise<void>}
+ */
+export async function writeConnectionVariables(projectPath, service, dockerComposeConfig = {}) {
+  await handleConnectionVariables(projectPath, [service], {
+    [service]: getServiceSettings(service, dockerComposeConfig),
+  });
+}
+
+/**
+ * Resolves the customizable settings of a service from its catalog entry and the user's choices.
+ * @param {string} service - Service name.
+ * @param {Object} config - Docker Compose configuration (see `dockerComposeGenerator()`).
+ * @param {string} [projectName] - The project directory name, prefixing the container name when namespaced.
+ * @returns {{ image: string, container: string, ports: Object[], connection?: Object<string, string>, credentials?: Object<string, string>, secretFiles: Object<string, string> }} - The
+ * image reference, the container name, the port mappings, the connection variables (whose port
+ * variables hold the custom host ports) and credentials with newly generated secrets, and the
+ * container variables read from Docker secrets files.
+ */
+function getServiceSettings(service, config, projectName) {
+  const {
+    image,
+    tag,
+    ports = [],
+    connection,
+    credentials,
+    secrets = [],
+    secretFiles = {},
+  } = getService(service);
+
+  const customizedPorts = ports.map(port => ({
+    ...port,
+    host: config.ports?.[service]?.[port.container] ?? port.host,
+  }));
+
+  // Container names may only hold letters, digits, underscores, periods and hyphens
+  const namespace = config.namespace && projectName?.toLowerCase().replace(/[^a-z0-9_.-]+/g, '-');
+
+  return {
+    image: image && `${image}:${config.tags?.[service] ?? tag}`,
+    container: namespace ? `${namespace}-${service}` : service,
+    ports: customizedPorts,
+    connection: connection && {
+      ...connection,
+      ...Object.fromEntries(
+        customizedPorts
+          .filter(port => port.variable)
+          .map(port => [port.variable, String(port.host)]),
+      ),
+      ...generateSecrets(connection, secrets),
+    },
+    credentials: credentials && { ...credentials, ...generateSecrets(credentials, secrets) },
+    secretFiles: config.secrets ? secretFiles : {},
+  };
+}
+
+/**
+ * Generates a random value for each secret among the given variables.
+ * @param {Object<string, string>} variables - The variables, keyed by name.
+ * @param {string[]} secrets - The names of the secret variables.
+ * @returns {Object<string, string>} - The generated values, keyed by name.
+ */
+function generateSecrets(variables, secrets) {
+  return Object.fromEntries(
+    secrets
+      .filter(name => name in variables)
+      // URL-safe characters, so the secrets can be used in connection URLs as is
+      .map(name => [name, randomBytes(24).toString('base64url')]),
+  );
+}
+
+/**
+ * Gets the variables Docker Compose substitutes in the compose files: the connection variables
+ * and credentials of the services, overridden by the project's `.env`.
+ * @param {string} projectPath - Path to the project directory.
+ * @param {string[]} services - List of services to generate.
+ * @param {Object<string, Object>} settings - The settings of each service (see `getServiceSettings()`).
+ * @returns {Promise<Object<string, string>>} - The variable values, keyed by name.
+ */
+async function getComposeVariables(projectPath, services, settings) {
+  const connections = services.map(service => ({
+    ...settings[service].connection,
+    ...settings[service].credentials,
+  }));
+
+  return Object.assign({}, ...connections, await readEnvVariables(path.join(projectPath, '.env')));
+}
+
+/**
+ * Checks the host ports published by the services: two services can't publish the same port,
+ * and the ports already in use on this machine are reported, as the containers won't start.
+ * @param {string[]} services - List of services to generate.
+ * @param {Object<string, Object>} settings - The settings of each service (see `getServiceSettings()`).
+ * @param {Object<string, string>} variables - The variables substituted by Docker Compose.
+ * @returns {Promise<void>}
+ * @throws {Error} If two services publish the same host port.
+ */
+async function checkHostPorts(services, settings, variables) {
+  // Service label publishing each host port
+  const publishers = new Map();
+
+  for (const service of services) {
+    const { label } = getService(service);
+
+    for (const port of settings[service].ports) {
+      // Ports read from a variable follow `.env`, like Docker Compose
+      const hostPort = Number(port.variable ? variables[port.variable] : port.host);
+      if (publishers.has(hostPort)) {
+        throw new Error(
+          `${label} and ${publishers.get(hostPort)} both publish the host port ${hostPort}. Pick another port for one of them.`,
+        );
+      }
+      publishers.set(hostPort, label);
+    }
+  }
+
+  for (const port of await detectBusyPorts([...publishers.keys()])) {
+    log.warn(
+      `The host port ${port} of ${publishers.get(port)} is already in use on this machine. Stop the process using it or pick another port.`,
+    );
+  }
 }
 
 /**
  * Creates a temporary file for the docker-compose content.
+ * @param {string} fileName - Name of the compose file.
  * @returns {Promise<string>} - Path to the temporary file.
  */
-async function createTempDockerComposeFile() {
+async function createTempDockerComposeFile(fileName) {
   const tempDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'docker-compose-'));
-  return path.join(tempDirectory, 'docker-compose.yml');
+  return path.join(tempDirectory, fileName);
 }
 
 /**
- * Generates the content for the docker-compose file.
+ * Generates the content of the docker-compose files. Environment files without any override
+ * are left out.
  * @param {Object} config - Docker Compose configuration.
  * @param {string} basePath - Base path for service configurations.
- * @returns {Promise<string>} - The docker-compose content.
+ * @param {Object<string, string>} variables - The values of the template placeholders.
+ * @param {Object<string, Object>} settings - The settings of each service (see `getServiceSettings()`).
+ * @returns {Promise<Object<string, string>>} - The content of each compose file, keyed by file name.
  */
-async function generateDockerComposeContent(config, basePath) {
-  const { services, network } = config;
+async function generateDockerComposeFiles(config, basePath, variables, settings) {
+  const { network } = config;
+  const services = resolveServices(config.services);
   let content = '';
 
   // Add network section if configured
@@ -53,93 +325,373 @@ async function generateDockerComposeContent(config, basePath) {
     content += networkConfigContent.replace('{ { NETWORK } }', network);
   }
 
-  content += '\nservices:';
+  const templates = {};
   for (const service of services) {
-    const serviceConfig = await getServiceConfig(basePath, service, network, services);
-    content += serviceConfig;
+    templates[service] = await readServiceTemplate(basePath, service);
+  }
+
+  // Services whose readiness can be awaited by the services depending on them
+  const healthChecked = services.filter(service =>
+    templates[service].includes('\n    healthcheck:'),
+  );
+
+  const renderServices = names =>
+    names
+      .map(name =>
+        getServiceConfig(
+          renderTemplate(templates[name], settings[name]),
+          name,
+          settings[name],
+          network,
+          services,
+          healthChecked,
+        ),
+      )
+      .join('');
+
+  // Admin UIs are development tools, kept out of the base file
+  const isCompanion = service => getService(service).role === 'companion';
+  content += `\nservices:${renderServices(services.filter(service => !isCompanion(service)))}`;
+
+  // Declare the Docker secrets files read by the services
+  const secretVariables = services.flatMap(service => Object.values(settings[service].secretFiles));
+  if (secretVariables.length) {
+    content += `\nsecrets:\n${secretVariables
+      .map(variable => `  ${getSecretName(variable)}:\n    file: ./${getSecretPath(variable)}`)
+      .join('\n')}\n`;
   }
 
-  return content;
+  const overrides = {};
+  for (const [environment, fileName] of Object.entries(ENVIRONMENT_FILES)) {
+    let overrideContent = '';
+    for (const service of services) {
+      if (!getService(service).overrides?.includes(environment)) continue;
+
+      const template = await readServiceTemplate(basePath, `${service}.${environment}`);
+      overrideContent += `${renderTemplate(template, variables)}\n`;
+    }
+    if (environment === 'development') {
+      overrideContent += renderServices(services.filter(isCompanion));
+    }
+
+    if (overrideContent) overrides[fileName] = `services:${overrideContent}`;
+  }
+
+  return { 'docker-compose.yml': content, ...overrides };
 }
 
 /**
- * Retrieves and processes the configuration for a specific service.
+ * Reads the template of a service.
  * @param {string} basePath - Base path for service configurations.
+ * @param {string} service - Service name, followed by the environment for an override template.
+ * @returns {Promise<string>} - The service configuration, without the "services:" prefix.
+ */
+async function readServiceTemplate(basePath, service) {
+  const serviceConfigPath = path.join(basePath, `services/${service}.config.yaml`);
+  const configContent = await fs.readFile(serviceConfigPath, 'utf8');
+
+  return configContent.replace('services:', '').trimEnd();
+}
+
+/**
+ * Completes the template of a service with the ports, network, dependencies and environment
+ * described in the service catalog.
+ * @param {string} configContent - The rendered service template (see `readServiceTemplate()`).
  * @param {string} service - Service name.
+ * @param {Object} settings - The settings of the service (see `getServiceSettings()`).
  * @param {string} network - Network name.
- * @param {string[]} services - List of selected services.
- * @returns {Promise<string>} - The processed service configuration.
+ * @param {string[]} services - List of services to generate.
+ * @param {string[]} healthChecked - The generated services that declare a healthcheck.
+ * @returns {string} - The processed service configuration.
  */
-async function getServiceConfig(basePath, service, network, services) {
-  const serviceConfigPath = path.join(basePath, `services/${service}.config.yaml`);
-  let configContent = await fs.readFile(serviceConfigPath, 'utf8');
-
-  // Remove "services:" prefix
-  configContent = configContent.replace('services:', '');
-
-  // Adjust network settings
-  if (!network) {
-    configContent = configContent.replaceAll(
-      `
-    networks:
-      - { { NETWORK } }`,
-      '',
+function getServiceConfig(configContent, service, settings, network, services, healthChecked) {
+  const sections = renderServiceSections(
+    getService(service),
+    settings,
+    network,
+    services,
+    healthChecked,
+  );
+  if (!sections) return `${configContent}\n`;
+
+  // Place the generated sections before the restart policy, or at the end of the service
+  const restartPolicy = '\n    restart:';
+  return configContent.includes(restartPolicy)
+    ? `${configContent.replace(restartPolicy, `\n${sections}${restartPolicy}`)}\n`
+    : `${configContent}\n${sections}\n`;
+}
+
+/**
+ * Renders the sections of a service generated from its catalog entry.
+ * @param {Object} entry - The catalog entry of the service.
+ * @param {Object} settings - The settings of the service (see `getServiceSettings()`).
+ * @param {string} network - Network name.
+ * @param {string[]} services - List of services to generate.
+ * @param {string[]} healthChecked - The generated services that declare a healthcheck.
+ * @returns {string} - The YAML lines of the sections, indented for the service.
+ */
+function renderServiceSections(entry, settings, network, services, healthChecked) {
+  const lines = [];
+
+  if (settings.ports.length) {
+    lines.push(
+      '    ports:',
+      ...settings.ports.map(port => {
+        const hostPort = port.variable ? `\${${port.variable}}` : port.host;
+        return `      - "${hostPort}:${port.container}"`;
+      }),
     );
-  } else {
-    configContent = configContent.replaceAll('{ { NETWORK } }', network);
-  }
-
-  // Add `depends_on` section for Node service
-  if (service === ServicesName.node) {
-    const dependsOn = [
-      'mongodb',
-      'redis',
-      'mysql',
-      'postgresql',
-      'rabbitmq',
-      'elasticsearch',
-      'kafka',
-    ].filter(dependency => services.includes(dependency));
-
-    if (dependsOn.length) {
-      const dependsOnSection = `
-    depends_on:
-${dependsOn.map(dep => `      - ${dep}`).join('\n')}`;
-
-      configContent = configContent.replace(
-        `
-    restart: always`,
-        dependsOnSection +
-          `
-    restart: always`,
-      );
+  }
+
+  if (network) lines.push('    networks:', `      - ${network}`);
+
+  const dependsOn = getDependencies(entry, services);
+  if (dependsOn.length) {
+    // Wait until each dependency reports healthy, or at least has started without a healthcheck
+    lines.push(
+      '    depends_on:',
+      ...dependsOn.flatMap(dependency => [
+        `      ${dependency}:`,
+        `        condition: ${healthChecked.includes(dependency) ? 'service_healthy' : 'service_started'}`,
+      ]),
+    );
+  }
+
+  const environment = Object.entries(
+    entry.role === 'app' ? getAppEnvironment(services) : (entry.environment ?? {}),
+  ).map(([name, value]) => {
+    // Point the container to the secret file instead of passing the secret itself
+    const secret = settings.secretFiles[name];
+    return secret ? [`${name}_FILE`, `/run/secrets/${getSecretName(secret)}`] : [name, value];
+  });
+  if (environment.length) {
+    lines.push(
+      '    environment:',
+      ...environment.map(([name, value]) => `      - ${name}=${value}`),
+    );
+  }
+
+  const secrets = Object.values(settings.secretFiles);
+  if (secrets.length) {
+    lines.push('    secrets:', ...secrets.map(secret => `      - ${getSecretName(secret)}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Lists the services a service must start after, based on its role in the catalog.
+ * @param {Object} entry - The catalog entry of the service.
+ * @param {string[]} services - List of services to generate.
+ * @returns {string[]} - The names of the services it depends on.
+ */
+function getDependencies(entry, services) {
+  switch (entry.role) {
+    case 'app':
+      // The application waits for every backing service
+      return services.filter(service => getService(service).role === 'dependency');
+
+    case 'companion':
+      return [entry.companionOf];
+
+    default:
+      return entry.requires ?? [];
+  }
+}
+
+/**
+ * Renders the Nginx locations of the application routes. Every other path is proxied by the
+ * catch-all location of `nginx.conf`.
+ * @param {Object} routes - The routes of the application (see `dockerComposeGenerator()`).
+ * @returns {string} - The location blocks, indented for the server block.
+ */
+function renderProxyLocations(routes) {
+  const locations = [];
+
+  const prefix = routes.prefix?.replace(/^\/+|\/+$/g, '');
+  if (prefix) locations.push(['# API routes, under the global prefix', `/${prefix}/`]);
+
+  // Swagger UI is only served in development (see `swagger.config.ts`)
+  if (routes.swagger) locations.push(['# Swagger UI', '/api-doc']);
+
+  return locations
+    .map(([comment, location]) =>
+      [
+        '',
+        `    ${comment}`,
+        `    location ${location} {`,
+        '        proxy_pass http://nest_app;',
+        '    }',
+        '',
+      ].join('\n'),
+    )
+    .join('');
+}
+
+/**
+ * Builds the environment of the application container: the connection variables whose value
+ * differs inside the Compose network (host names, ports and the URLs built from them). The
+ * other variables are loaded from `.env` through the `env_file` of the service.
+ * @param {string[]} services - List of services to generate.
+ * @returns {Object<string, string>} - The environment variables, keyed by name.
+ */
+function getAppEnvironment(services) {
+  const environment = {};
+
+  for (const { connection, internalConnection } of services.map(getService)) {
+    if (!internalConnection) continue;
+
+    for (const [name, value] of Object.entries(connection)) {
+      if (name in internalConnection) {
+        environment[name] = internalConnection[name];
+      } else if (expandVariables(value, internalConnection) !== value) {
+        // Let Docker Compose substitute the credentials from `.env`
+        environment[name] = expandVariables(value, internalConnection);
+      }
     }
   }
 
-  return configContent;
+  return environment;
 }
 
 /**
- * Copies additional required files (e.g., Dockerfile, nginx.conf) based on the selected services.
+ * Writes the connection variables of the services to `.env` and `.env.development.local`, and
+ * types them in `src/common/definitions/env.d.ts`. The credentials of the containers are only
+ * written to `.env`, which Docker Compose reads. Both are written to `.env.example` with
+ * placeholders instead of the generated secrets. Services already set up are skipped.
  * @param {string} projectPath - Path to the project directory.
- * @param {string} basePath - Base path for additional configurations.
- * @param {string[]} services - List of selected services.
+ * @param {string[]} services - List of services to generate.
+ * @param {Object<string, Object>} settings - The settings of each service (see `getServiceSettings()`).
  * @returns {Promise<void>}
  */
-async function handleAdditionalFiles(projectPath, basePath, services) {
-  const copyTasks = [];
+async function handleConnectionVariables(projectPath, services, settings) {
+  for (const service of services) {
+    const { label, secrets = [] } = getService(service);
+    const { connection, credentials } = settings[service];
 
-  if (services.includes(ServicesName.node)) {
-    copyTasks.push(
-      copyFile(path.join(basePath, 'config/Dockerfile'), path.join(projectPath, 'Dockerfile')),
-    );
+    if (connection) {
+      const section = `${label} Environmental Variables`;
+      await writeEnvSection(projectPath, section, connection, secrets, [
+        '.env',
+        '.env.development.local',
+      ]);
+      await addEnvDefinitions(projectPath, section, Object.keys(connection));
+    }
+
+    if (credentials) {
+      await writeEnvSection(projectPath, `${label} Credentials`, credentials, secrets, ['.env']);
+    }
   }
+}
 
-  if (services.includes(ServicesName.nginx)) {
-    copyTasks.push(
-      copyFile(path.join(basePath, 'config/nginx.conf'), path.join(projectPath, 'nginx.conf')),
-    );
+/**
+ * Appends a section of variables to the given env files and to `.env.example`, unless they
+ * already hold it.
+ * @param {string} projectPath - Path to the project directory.
+ * @param {string} section - The comment placed above the variables.
+ * @param {Object<string, string>} values - The variable values, which may reference each other with `${VAR}`.
+ * @param {string[]} secrets - The names of the secret variables, replaced in `.env.example`.
+ * @param {string[]} files - The env files holding the actual values.
+ * @returns {Promise<void>}
+ */
+async function writeEnvSection(projectPath, section, values, secrets, files) {
+  const placeholders = Object.fromEntries(
+    secrets.filter(name => name in values).map(name => [name, SECRET_PLACEHOLDER]),
+  );
+
+  const render = variables =>
+    `\n# ${section}\n${Object.entries(variables)
+      .map(([name, value]) => `${name}=${expandVariables(value, variables)}`)
+      .join('\n')}\n`;
+
+  for (const file of files) {
+    await appendEnvEntry(path.join(projectPath, file), `# ${section}`, render(values));
+  }
+  await appendEnvEntry(
+    path.join(projectPath, '.env.example'),
+    `# ${section}`,
+    render({ ...values, ...placeholders }),
+  );
+}
+
+/**
+ * Writes the Docker secrets files read by the services, with the secrets of `.env`. Existing
+ * files are kept, as the databases are initialized with their secret.
+ * @param {string} projectPath - Path to the project directory.
+ * @param {string[]} services - List of services to generate.
+ * @param {Object<string, Object>} settings - The settings of each service (see `getServiceSettings()`).
+ * @param {Object<string, string>} variables - The variables substituted by Docker Compose.
+ * @returns {Promise<void>}
+ */
+async function handleSecretFiles(projectPath, services, settings, variables) {
+  const secrets = services.flatMap(service => Object.values(settings[service].secretFiles));
+  if (!secrets.length) return;
+
+  await createDirectory(path.join(projectPath, SECRETS_DIRECTORY));
+  for (const secret of secrets) {
+    const secretPath = path.join(projectPath, getSecretPath(secret));
+    if (!(await existsFile(secretPath))) await writeTextFile(secretPath, variables[secret]);
   }
+}
+
+/**
+ * Gets the name of the Docker secret holding a variable.
+ * @param {string} variable - The variable name (e.g., `POSTGRES_PASSWORD`).
+ * @returns {string} - The secret name (e.g., `postgres_password`).
+ */
+function getSecretName(variable) {
+  return variable.toLowerCase();
+}
+
+/**
+ * Gets the path of the Docker secrets file holding a variable.
+ * @param {string} variable - The variable name.
+ * @returns {string} - The file path, relative to the project root.
+ */
+function getSecretPath(variable) {
+  return `${SECRETS_DIRECTORY}/${getSecretName(variable)}.txt`;
+}
+
+/**
+ * Adds entries to the project's `.gitignore`, unless it already lists them.
+ * @param {string} projectPath - Path to the project directory.
+ * @param {string[]} entries - The patterns to ignore (e.g., `.env`).
+ * @returns {Promise<void>}
+ */
+async function addGitignoreEntries(projectPath, entries) {
+  const gitignorePath = path.join(projectPath, '.gitignore');
+  const content = (await existsFile(gitignorePath)) ? await readTextFile(gitignorePath) : '';
+
+  const listed = content.split('\n').map(line => line.trim().replace(/^\//, ''));
+  const missing = entries.filter(entry => !listed.includes(entry));
+  if (!missing.length) return;
+
+  const separator = content && !content.endsWith('\n') ? '\n' : '';
+  await appendTextFile(
+    gitignorePath,
+    `${separator}\n# Docker Compose secrets\n${missing.join('\n')}\n`,
+  );
+}
+
+/**
+ * Copies additional required files (e.g., Dockerfile, nginx.conf) based on the selected services.
+ * @param {string} projectPath - Path to the project directory.
+ * @param {string} basePath - Base path for additional configurations.
+ * @param {string[]} services - List of services to generate.
+ * @param {Object<string, string>} variables - The values of the template placeholders.
+ * @returns {Promise<void>}
+ */
+async function handleAdditionalFiles(projectPath, basePath, services, variables) {
+  const copyTasks = services
+    .flatMap(service => getService(service).files ?? [])
+    .map(async file => {
+      const source = path.join(basePath, file.source);
+      const target = path.join(projectPath, file.target);
+      if (!file.render) return copyFile(source, target);
+
+      const template = await fs.readFile(source, 'utf8');
+      return writeTextFile(target, renderTemplate(template, variables));
+    });
 
   await Promise.all(copyTasks);
 }
@@ -0,0 +1,409 @@
+/**
+ * Docker Compose services offered by Nest Craft, in the order they appear in the generated file.
+ *
+ * Each service has a template in `lib/docker/services/<name>.config.yaml` holding what's
+ * specific to it (volumes, command, healthcheck, restart policy), where `{{ image }}` and
+ * `{{ container }}` stand for the image and container name of the generated service. Services
+ * with a healthcheck are awaited with `condition: service_healthy` by the services depending on
+ * them. The generator adds the sections described here:
+ * - `name`: The service identifier, used by the `--docker-services` flag and presets.
+ * - `label` / `hint`: How the service is presented in the selector.
+ * - `role`: How the service relates to the others:
+ *   - `app`: The NestJS application, which depends on every `dependency` service.
+ *   - `dependency`: A backing service (database, cache, broker) the application depends on.
+ *   - `companion`: An admin UI offered along with the service named by `companionOf`.
+ *   - `proxy`: A service placed in front of the application.
+ *   - `support`: A service only added because another one `requires` it.
+ * - `image` / `tag`: The image of the service and its pinned default tag, which can be customized.
+ *   The `node` image is the base image of the generated Dockerfile.
+ * - `ports`: The default `host:container` port mappings, whose host port can be customized. The host port of a mapping with a
+ *   `variable` is read from that connection variable.
+ * - `environment`: The environment variables of the container. Credentials reference the
+ *   connection variables through `${VAR}` substitution, which Docker Compose reads from `.env`.
+ * - `connection`: The variables the application uses to connect to the service, written to the
+ *   env files and typed in `env.d.ts`. Their values may reference each other with `${VAR}`.
+ * - `credentials`: The variables only the containers use (e.g., an admin UI login), written to
+ *   `.env` and `.env.example` but not shared with the application.
+ * - `secrets`: The `connection` and `credentials` variables generated randomly for each project
+ *   (passwords), replaced with a placeholder in `.env.example`.
+ * - `secretFiles`: The container variables that can read a secret from a file instead, mapped
+ *   to the variable holding the secret. When Docker secrets are enabled, the secret is written to
+ *   `secrets/<variable>.txt` and the container reads it through `<container variable>_FILE`.
+ * - `internalConnection`: The connection variables that differ when the application runs in the
+ *   `node` container (host names and ports inside the Compose network).
+ * - `requires`: Services added automatically and started before this one.
+ * - `overrides`: The environments (`development`, `production`) with an override template in
+ *   `lib/docker/services/<name>.<environment>.config.yaml`, written to `docker-compose.override.yml`
+ *   and `docker-compose.prod.yml`. Companion services are development tools, only added to
+ *   `docker-compose.override.yml`.
+ * - `files`: Additional files copied from `lib/docker` to the project root. Files marked with
+ *   `render` have their `{{ name }}` placeholders replaced (package manager commands, proxy
+ *   routes).
+ */
+export const SERVICE_CATALOG = [
+  {
+    name: 'node',
+    label: 'Node',
+    hint: 'the NestJS application, Dockerfile included',
+    role: 'app',
+    image: 'node',
+    tag: '22-alpine',
+    ports: [{ host: 3000, container: 3000 }],
+    overrides: ['development', 'production'],
+    files: [
+      { source: 'config/Dockerfile', target: 'Dockerfile', render: true },
+      { source: 'config/.dockerignore', target: '.dockerignore' },
+    ],
+  },
+  {
+    name: 'mongodb',
+    label: 'MongoDB',
+    role: 'dependency',
+    image: 'mongo',
+    tag: '8.0',
+    ports: [{ host: 27017, container: 27017, variable: 'MONGO_PORT' }],
+    environment: {
+      MONGO_INITDB_ROOT_USERNAME: '${MONGO_USERNAME}',
+      MONGO_INITDB_ROOT_PASSWORD: '${MONGO_PASSWORD}',
+    },
+    connection: {
+      MONGO_HOST: 'localhost',
+      MONGO_PORT: '27017',
+      MONGO_USERNAME: 'root',
+      MONGO_PASSWORD: '',
+      MONGO_DATABASE: 'my_db',
+      MONGODB_URI:
+        'mongodb://${MONGO_USERNAME}:${MONGO_PASSWORD}@${MONGO_HOST}:${MONGO_PORT}/${MONGO_DATABASE}?authSource=admin',
+    },
+    secrets: ['MONGO_PASSWORD'],
+    secretFiles: { MONGO_INITDB_ROOT_PASSWORD: 'MONGO_PASSWORD' },
+    internalConnection: { MONGO_HOST: 'mongodb', MONGO_PORT: '27017' },
+  },
+  {
+    name: 'mongo-express',
+    label: 'Mongo Express',
+    hint: 'MongoDB admin UI',
+    role: 'companion',
+    companionOf: 'mongodb',
+    image: 'mongo-express',
+    tag: '1.0.2',
+    ports: [{ host: 8081, container: 8081 }],
+    environment: {
+      ME_CONFIG_MONGODB_ADMINUSERNAME: '${MONGO_USERNAME}',
+      ME_CONFIG_MONGODB_ADMINPASSWORD: '${MONGO_PASSWORD}',
+      ME_CONFIG_MONGODB_SERVER: 'mongodb',
+      ME_CONFIG_BASICAUTH_USERNAME: '${MONGO_EXPRESS_USERNAME}',
+      ME_CONFIG_BASICAUTH_PASSWORD: '${MONGO_EXPRESS_PASSWORD}',
+    },
+    credentials: {
+      MONGO_EXPRESS_USERNAME: 'admin',
+      MONGO_EXPRESS_PASSWORD: '',
+    },
+    secrets: ['MONGO_EXPRESS_PASSWORD'],
+  },
+  {
+    name: 'redis',
+    label: 'Redis',
+    role: 'dependency',
+    image: 'redis',
+    tag: '7.4',
+    ports: [{ host: 6379, container: 6379, variable: 'REDIS_PORT' }],
+    connection: {
+      REDIS_HOST: 'localhost',
+      REDIS_PORT: '6379',
+      REDIS_URL: 'redis://${REDIS_HOST}:${REDIS_PORT}',
+    },
+    internalConnection: { REDIS_HOST: 'redis', REDIS_PORT: '6379' },
+  },
+  {
+    name: 'redisinsight',
+    label: 'RedisInsight',
+    hint: 'Redis admin UI',
+    role: 'companion',
+    companionOf: 'redis',
+    image: 'redis/redisinsight',
+    tag: '2.64',
+    ports: [{ host: 5540, container: 5540 }],
+  },
+  {
+    name: 'mysql',
+    label: 'MySQL',
+    role: 'dependency',
+    image: 'mysql',
+    tag: '8.4',
+    ports: [{ host: 3306, container: 3306, variable: 'MYSQL_PORT' }],
+    environment: {
+      MYSQL_ROOT_PASSWORD: '${MYSQL_ROOT_PASSWORD}',
+      MYSQL_DATABASE: '${MYSQL_DATABASE}',
+      MYSQL_USER: '${MYSQL_USER}',
+      MYSQL_PASSWORD: '${MYSQL_PASSWORD}',
+    },
+    connection: {
+      MYSQL_HOST: 'localhost',
+      MYSQL_PORT: '3306',
+      MYSQL_USER: 'user',
+      MYSQL_PASSWORD: '',
+      MYSQL_ROOT_PASSWORD: '',
+      MYSQL_DATABASE: 'my_database',
+      MYSQL_URL:
+        'mysql://${MYSQL_USER}:${MYSQL_PASSWORD}@${MYSQL_HOST}:${MYSQL_PORT}/${MYSQL_DATABASE}',
+    },
+    secrets: ['MYSQL_PASSWORD', 'MYSQL_ROOT_PASSWORD'],
+    secretFiles: {
+      MYSQL_ROOT_PASSWORD: 'MYSQL_ROOT_PASSWORD',
+      MYSQL_PASSWORD: 'MYSQL_PASSWORD',
+    },
+    internalConnection: { MYSQL_HOST: 'mysql', MYSQL_PORT: '3306' },
+  },
+  {
+    name: 'phpmyadmin',
+    label: 'phpMyAdmin',
+    hint: 'MySQL admin UI',
+    role: 'companion',
+    companionOf: 'mysql',
+    image: 'phpmyadmin/phpmyadmin',
+    tag: '5.2',
+    ports: [{ host: 8080, container: 80 }],
+    environment: {
+      PMA_HOST: 'mysql',
+      PMA_USER: '${MYSQL_USER}',
+      PMA_PASSWORD: '${MYSQL_PASSWORD}',
+    },
+  },
+  {
+    name: 'postgresql',
+    label: 'PostgreSQL',
+    role: 'dependency',
+    image: 'postgres',
+    tag: '17',
+    ports: [{ host: 5432, container: 5432, variable: 'POSTGRES_PORT' }],
+    environment: {
+      POSTGRES_USER: '${POSTGRES_USER}',
+      POSTGRES_PASSWORD: '${POSTGRES_PASSWORD}',
+      POSTGRES_DB: '${POSTGRES_DB}',
+    },
+    connection: {
+      POSTGRES_HOST: 'localhost',
+      POSTGRES_PORT: '5432',
+      POSTGRES_USER: 'admin',
+      POSTGRES_PASSWORD: '',
+      POSTGRES_DB: 'my_db',
+      POSTGRES_URL:
+        'postgresql://${POSTGRES_USER}:${POSTGRES_PASSWORD}@${POSTGRES_HOST}:${POSTGRES_PORT}/${POSTGRES_DB}',
+    },
+    secrets: ['POSTGRES_PASSWORD'],
+    secretFiles: { POSTGRES_PASSWORD: 'POSTGRES_PASSWORD' },
+    internalConnection: { POSTGRES_HOST: 'postgresql', POSTGRES_PORT: '5432' },
+  },
+  {
+    name: 'pgadmin',
+    label: 'pgAdmin',
+    hint: 'PostgreSQL admin UI',
+    role: 'companion',
+    companionOf: 'postgresql',
+    image: 'dpage/pgadmin4',
+    tag: '8.14',
+    ports: [{ host: 5050, container: 80 }],
+    environment: {
+      PGADMIN_DEFAULT_EMAIL: '${PGADMIN_EMAIL}',
+      PGADMIN_DEFAULT_PASSWORD: '${PGADMIN_PASSWORD}',
+    },
+    credentials: {
+      PGADMIN_EMAIL: 'admin@admin.com',
+      PGADMIN_PASSWORD: '',
+    },
+    secrets: ['PGADMIN_PASSWORD'],
+  },
+  {
+    name: 'rabbitmq',
+    label: 'RabbitMQ',
+    hint: 'management UI included',
+    role: 'dependency',
+    image: 'rabbitmq',
+    tag: '4.0-management',
+    ports: [
+      { host: 5672, container: 5672, variable: 'RABBITMQ_PORT' },
+      { host: 15672, container: 15672 },
+    ],
+    environment: {
+      RABBITMQ_DEFAULT_USER: '${RABBITMQ_USER}',
+      RABBITMQ_DEFAULT_PASS: '${RABBITMQ_PASSWORD}',
+    },
+    connection: {
+      RABBITMQ_HOST: 'localhost',
+      RABBITMQ_PORT: '5672',
+      RABBITMQ_USER: 'admin',
+      RABBITMQ_PASSWORD: '',
+      RABBITMQ_URL:
+        'amqp://${RABBITMQ_USER}:${RABBITMQ_PASSWORD}@${RABBITMQ_HOST}:${RABBITMQ_PORT}',
+    },
+    secrets: ['RABBITMQ_PASSWORD'],
+    internalConnection: { RABBITMQ_HOST: 'rabbitmq', RABBITMQ_PORT: '5672' },
+  },
+  {
+    name: 'elasticsearch',
+    label: 'Elasticsearch',
+    role: 'dependency',
+    image: 'docker.elastic.co/elasticsearch/elasticsearch',
+    tag: '8.17.0',
+    ports: [
+      { host: 9200, container: 9200, variable: 'ELASTICSEARCH_PORT' },
+      { host: 9300, container: 9300 },
+    ],
+    environment: {
+      'discovery.type': 'single-node',
+      ES_JAVA_OPTS: '-Xms512m -Xmx512m',
+      // Serve plain HTTP without credentials in development, as the connection URL expects
+      'xpack.security.enabled': 'false',
+    },
+    connection: {
+      ELASTICSEARCH_HOST: 'localhost',
+      ELASTICSEARCH_PORT: '9200',
+      ELASTICSEARCH_URL: 'http://${ELASTICSEARCH_HOST}:${ELASTICSEARCH_PORT}',
+    },
+    internalConnection: { ELASTICSEARCH_HOST: 'elasticsearch', ELASTICSEARCH_PORT: '9200' },
+  },
+  {
+    name: 'kibana',
+    label: 'Kibana',
+    hint: 'Elasticsearch UI',
+    role: 'companion',
+    companionOf: 'elasticsearch',
+    image: 'kibana',
+    tag: '8.17.0',
+    ports: [{ host: 5601, container: 5601 }],
+    environment: {
+      ELASTICSEARCH_HOSTS: 'http://elasticsearch:9200',
+    },
+  },
+  {
+    name: 'kafka',
+    label: 'Kafka',
+    hint: 'single node in KRaft mode',
+    role: 'dependency',
+    image: 'apache/kafka',
+    tag: '3.9.0',
+    ports: [{ host: 29092, container: 29092, variable: 'KAFKA_PORT' }],
+    environment: {
+      // The node is both broker and controller, so no ZooKeeper is needed
+      KAFKA_NODE_ID: '1',
+      KAFKA_PROCESS_ROLES: 'broker,controller',
+      KAFKA_CONTROLLER_QUORUM_VOTERS: '1@kafka:9093',
+      KAFKA_CONTROLLER_LISTENER_NAMES: 'CONTROLLER',
+      // PLAINTEXT serves the Compose network, PLAINTEXT_HOST the published port
+      KAFKA_LISTENERS: 'PLAINTEXT://:9092,CONTROLLER://:9093,PLAINTEXT_HOST://:29092',
+      KAFKA_ADVERTISED_LISTENERS: 'PLAINTEXT://kafka:9092,PLAINTEXT_HOST://localhost:${KAFKA_PORT}',
+      KAFKA_LISTENER_SECURITY_PROTOCOL_MAP:
+        'CONTROLLER:PLAINTEXT,PLAINTEXT:PLAINTEXT,PLAINTEXT_HOST:PLAINTEXT',
+      KAFKA_INTER_BROKER_LISTENER_NAME: 'PLAINTEXT',
+      KAFKA_OFFSETS_TOPIC_REPLICATION_FACTOR: '1',
+      KAFKA_TRANSACTION_STATE_LOG_REPLICATION_FACTOR: '1',
+      KAFKA_TRANSACTION_STATE_LOG_MIN_ISR: '1',
+      KAFKA_GROUP_INITIAL_REBALANCE_DELAY_MS: '0',
+    },
+    connection: {
+      KAFKA_HOST: 'localhost',
+      KAFKA_PORT: '29092',
+      KAFKA_BROKERS: '${KAFKA_HOST}:${KAFKA_PORT}',
+    },
+    internalConnection: { KAFKA_HOST: 'kafka', KAFKA_PORT: '9092' },
+  },
+  {
+    name: 'kafka-ui',
+    label: 'Kafka UI',
+    hint: 'Kafka admin UI',
+    role: 'companion',
+    companionOf: 'kafka',
+    image: 'ghcr.io/kafbat/kafka-ui',
+    tag: 'v1.1.0',
+    ports: [{ host: 8082, container: 8080 }],
+    environment: {
+      KAFKA_CLUSTERS_0_NAME: 'local',
+      KAFKA_CLUSTERS_0_BOOTSTRAPSERVERS: 'kafka:9092',
+    },
+  },
+  {
+    name: 'nginx',
+    label: 'Nginx',
+    hint: 'reverse proxy to the Node service, nginx.conf included',
+    role: 'proxy',
+    requires: ['node'],
+    image: 'nginx',
+    tag: '1.27',
+    ports: [
+      { host: 80, container: 80 },
+      { host: 443, container: 443 },
+    ],
+    files: [{ source: 'config/nginx.conf', target: 'nginx.conf', render: true }],
+  },
+];
+
+/**
+ * Lists the services that can be selected, either directly or as a companion.
+ *
+ * @returns {string[]} The service names, in catalog order.
+ */
+export function getSelectableServices() {
+  return SERVICE_CATALOG.filter(service => service.role !== 'support').map(service => service.name);
+}
+
+/**
+ * Gets the catalog entry of a service.
+ *
+ * @param {string} name The service name.
+ * @returns {Object} The catalog entry.
+ * @throws {Error} If the service isn't in the catalog.
+ */
+export function getService(name) {
+  const service = SERVICE_CATALOG.find(entry => entry.name === name);
+  if (!service) throw new Error(`Unknown Docker service "${name}".`);
+
+  return service;
+}
+
+/**
+ * Lists the companion services of the given services.
+ *
+ * @param {string[]} services The selected service names.
+ * @returns {Object[]} The catalog entries of their companions, in catalog order.
+ */
+export function getCompanions(services) {
+  return SERVICE_CATALOG.filter(
+    service => service.role === 'companion' && services.includes(service.companionOf),
+  );
+}
+
+/**
+ * Completes a service selection with the services it requires (including the service of each
+ * companion), and orders it like the catalog.
+ *
+ * @param {string[]} services The selected service names.
+ * @returns {string[]} The services to generate.
+ */
+export function resolveServices(services) {
+  const resolved = new Set();
+
+  const add = name => {
+    if (resolved.has(name)) return;
+    resolved.add(name);
+
+    const service = getService(name);
+    service.requires?.forEach(add);
+    if (service.companionOf) add(service.companionOf);
+  };
+  services.forEach(add);
+
+  return SERVICE_CATALOG.map(service => service.name).filter(name => resolved.has(name));
+}
+
+/**
+ * Replaces the `${VAR}` references of a value with the given variables. References to other
+ * variables are kept, so Docker Compose can substitute them.
+ *
+ * @param {string} value The value (e.g., `redis://${REDIS_HOST}:${REDIS_PORT}`).
+ * @param {Object<string, string>} variables The variable values, keyed by name.
+ * @returns {string} The expanded value.
+ */
+export function expandVariables(value, variables) {
+  return value.replace(/\$\{(\w+)\}/g, (reference, name) => variables[name] ?? reference);
+}
@@ -1,50 +1,25 @@
+import { multiselect } from '@clack/prompts';
 import { cancelPrompt } from '../prompts/cancel.prompt.js';
 import { selectPrompt } from '../prompts/select.prompt.js';
 import { textPrompt } from '../prompts/text.prompt.js';
-import { ServicesName } from './enums/services.enum.js';
-
-// Configuration object to store selected services and other configurations.
-const configs = {
-  status: true, // Determine whether Docker Compose is requested.
-  services: [], // List of selected services
-  network: '', // Network configuration (not implemented here)
-};
-
-/**
- * Helper function to ask about a service and return the response.
- * @param {string} message - The message to display in the prompt.
- * @param {string[]} options - The options to present to the user.
- * @param {string} service - The service to push if the answer is 'yes'.
- * @param {string} [additionalMessage] - Optional message for a follow-up service.
- * @returns {Promise<void>}
- */
-async function askService(message, options, service, additionalMessage, additionalService) {
-  const serviceStatus = await selectPrompt(message, options);
-  cancelPrompt(serviceStatus);
-
-  if (serviceStatus) {
-    configs['services'].push(service);
-
-    if (additionalMessage) {
-      const followUpStatus = await selectPrompt(additionalMessage, options);
-      cancelPrompt(followUpStatus);
-
-      if (followUpStatus) configs['services'].push(additionalService);
-    }
-  }
-}
+import { getCompanions, getService, resolveServices, SERVICE_CATALOG } from './service-catalog.js';
 
 /**
  * Creates a Docker Compose service list based on the user's selected services.
- * Prompts the user with a series of questions to determine which services
- * should be included in the Docker Compose file (e.g., Node, MongoDB, Redis, etc.).
+ * The services are picked from the service catalog in a single list, then the companion UIs
+ * of the picked services (e.g., pgAdmin for PostgreSQL) are offered, selected by default.
+ * The host ports, image tags and container names can then be customized, and the database
+ * passwords stored in Docker secrets files.
+ * @param {boolean} [confirmed=false] - Whether the user already asked for a docker-compose file, skipping the first question.
  * @returns {Promise<Object>} - The configurations for Docker services.
  */
-export async function selectDockerServices() {
-  const dockerComposeStatus = await selectPrompt('Do you need a docker-compose file?', [
-    { value: true, label: 'yes' },
-    { value: false, label: 'no' },
-  ]);
+export async function selectDockerServices(confirmed = false) {
+  const dockerComposeStatus =
+    confirmed ||
+    (await selectPrompt('Do you need a docker-compose file?', [
+      { value: true, label: 'yes' },
+      { value: false, label: 'no' },
+    ]));
 
   cancelPrompt(dockerComposeStatus);
 
@@ -52,121 +27,167 @@ export async function selectDockerServices() {
   if (!dockerComposeStatus) return { status: false };
 
   // Ask for custom network
-  const network = await selectPrompt('Do you need a custom network?', [
+  const needsNetwork = await selectPrompt('Do you need a custom network?', [
     { value: true, label: 'yes' },
     { value: false, label: 'no' },
   ]);
 
-  cancelPrompt(network);
+  cancelPrompt(needsNetwork);
 
   // Custom Network Handling
-  if (network) {
+  let network = '';
+  if (needsNetwork) {
     const customValidator = input => {
       const regex = /^[a-zA-Z-]+$/;
       return regex.test(input); // Return `true` if valid, `false` otherwise.
     };
 
-    configs['network'] = await textPrompt(
+    network = await textPrompt(
       'Enter a name for the network:',
       true, // Required
       customValidator,
       'Input must contain only letters (a-z, A-Z) and hyphens (-).',
     );
 
-    cancelPrompt(configs['network']);
+    cancelPrompt(network);
   }
 
-  // Ask for each service one by one and add them to the services array if selected.
-  await askService(
-    'Do you need Node service?',
-    [
-      { value: true, label: 'yes' },
-      { value: false, label: 'no' },
-    ],
-    ServicesName.node,
-  );
+  const services = await multiselect({
+    message: 'Select the services you need:',
+    options: SERVICE_CATALOG.filter(service =>
+      ['app', 'dependency', 'proxy'].includes(service.role),
+    ).map(toOption),
+  });
+
+  // Handle cancellation if the user aborts during the multi-select prompt.
+  cancelPrompt(services);
+
+  // Offer the admin UIs of the selected services
+  const companions = getCompanions(services);
+  if (companions.length) {
+    const selectedCompanions = await multiselect({
+      message: 'Select the companion services you need:',
+      options: companions.map(toOption),
+      initialValues: companions.map(companion => companion.name),
+      required: false, // allow users to skip selection.
+    });
+
+    cancelPrompt(selectedCompanions);
+    services.push(...selectedCompanions);
+  }
 
-  await askService(
-    'Do you need MongoDB service?',
-    [
-      { value: true, label: 'yes' },
-      { value: false, label: 'no' },
-    ],
-    ServicesName.mongodb,
-    'Do you need Mongo Express service?',
-    ServicesName.mongoexpress,
-  );
+  const resolvedServices = resolveServices(services);
+  const customizations = await customizeServices(resolvedServices);
 
-  await askService(
-    'Do you need Redis service?',
-    [
-      { value: true, label: 'yes' },
+  // Offer Docker secrets when a database can read its passwords from files
+  let secrets = false;
+  if (resolvedServices.some(service => getService(service).secretFiles)) {
+    secrets = await selectPrompt('Store the database passwords in Docker secrets files?', [
       { value: false, label: 'no' },
-    ],
-    ServicesName.redis,
-    'Do you need Redis Insight service?',
-    ServicesName.redisinsight,
-  );
-
-  await askService(
-    'Do you need MySQL service?',
-    [
       { value: true, label: 'yes' },
-      { value: false, label: 'no' },
-    ],
-    ServicesName.mysql,
-    'Do you need phpMyAdmin service?',
-    ServicesName.phpmyadmin,
-  );
+    ]);
 
-  await askService(
-    'Do you need PostgreSQL service?',
-    [
-      { value: true, label: 'yes' },
-      { value: false, label: 'no' },
-    ],
-    ServicesName.postgresql,
-    'Do you need pgAdmin service?',
-    ServicesName.pgadmin,
-  );
+    cancelPrompt(secrets);
+  }
 
-  await askService(
-    'Do you need RabbitMQ service?',
-    [
-      { value: true, label: 'yes' },
-      { value: false, label: 'no' },
-    ],
-    ServicesName.rabbitmq,
-  );
+  return {
+    status: true,
+    // Keep the services in catalog order
+    services: SERVICE_CATALOG.map(service => service.name).filter(name => services.includes(name)),
+    network,
+    ...customizations,
+    ...(secrets && { secrets }),
+  };
+}
 
-  await askService(
-    'Do you need Elasticsearch service?',
+/**
+ * Lets the user customize the host ports and image tags of the services, and namespace their
+ * container names, so several projects can run side by side on the same machine.
+ * @param {string[]} services - The services to generate, including the required ones.
+ * @returns {Promise<Object>} - The custom `ports` (keyed by service and container port) and
+ * `tags` (keyed by service), and the `namespace` choice. Empty if the user keeps the defaults.
+ */
+async function customizeServices(services) {
+  const customize = await selectPrompt(
+    'Do you want to customize the host ports, image tags or container names?',
     [
-      { value: true, label: 'yes' },
       { value: false, label: 'no' },
-    ],
-    ServicesName.elasticsearch,
-    'Do you need Kibana service?',
-    ServicesName.kibana,
-  );
-
-  await askService(
-    'Do you need Kafka service?',
-    [
       { value: true, label: 'yes' },
-      { value: false, label: 'no' },
     ],
-    ServicesName.kafka,
   );
 
-  await askService(
-    'Do you need Nginx service?',
-    [
-      { value: true, label: 'yes' },
-      { value: false, label: 'no' },
-    ],
-    ServicesName.nginx,
-  );
+  cancelPrompt(customize);
+
+  if (!customize) return {};
+
+  const ports = {};
+  const tags = {};
+  // Host ports already taken by a service, so two services don't publish the same one
+  const takenPorts = new Set();
+
+  for (const service of services) {
+    const { label, image, tag, ports: defaultPorts = [] } = getService(service);
+
+    for (const port of defaultPorts) {
+      const portValidator = input => {
+        const hostPort = Number(input || port.host);
+        return (
+          Number.isInteger(hostPort) &&
+          hostPort > 0 &&
+          hostPort < 65536 &&
+          !takenPorts.has(hostPort)
+        );
+      };
+
+      const hostPort = await textPrompt(
+        `[${label}] Host port for the container port ${port.container} [${port.host}]:`,
+        false,
+        portValidator,
+        'Input must be a port between 1 and 65535 that no other service publishes.',
+      );
+
+      cancelPrompt(hostPort);
+
+      const selectedPort = Number(hostPort || port.host);
+      takenPorts.add(selectedPort);
+      if (selectedPort !== port.host) (ports[service] ??= {})[port.container] = selectedPort;
+    }
+
+    if (image) {
+      const tagValidator = input => /^(\w[\w.-]{0,127})?$/.test(input);
+
+      const selectedTag = await textPrompt(
+        `[${label}] Tag of the ${image} image [${tag}]:`,
+        false,
+        tagValidator,
+        'Input must be a valid image tag (letters, digits, underscores, periods and hyphens).',
+      );
+
+      cancelPrompt(selectedTag);
+
+      if (selectedTag && selectedTag !== tag) tags[service] = selectedTag;
+    }
+  }
 
-  return configs;
+  const namespace = await selectPrompt('Prefix the container names with the project name?', [
+    { value: true, label: 'yes' },
+    { value: false, label: 'no' },
+  ]);
+
+  cancelPrompt(namespace);
+
+  return {
+    ...(Object.keys(ports).length && { ports }),
+    ...(Object.keys(tags).length && { tags }),
+    ...(namespace && { namespace }),
+  };
+}
+
+/**
+ * Converts a catalog entry into a multiselect option.
+ * @param {Object} service - The catalog entry.
+ * @returns {{ value: string, label: string, hint?: string }} - The option.
+ */
+function toOption(service) {
+  return { value: service.name, label: service.label, hint: service.hint };
 }
@@ -0,0 +1,173 @@
+import path from 'path';
+import ts from 'typescript';
+import { readTextFile, writeTextFile } from '../shell/shell.commands.js';
+import {
+  addImports,
+  getIndentation,
+  parseSourceFile,
+  replaceRange,
+} from './source-file.modifier.js';
+
+// Name of the app module file in error messages
+const APP_MODULE_FILE = 'src/app.module.ts';
+
+/**
+ * Registers a module in the `imports` array of the `@Module()` decorator in `src/app.module.ts`
+ * and adds its import statement. Modules that are already registered (directly or through a
+ * dynamic module call such as `ConfigModule.forRoot()`) are left untouched.
+ *
+ * @param {string} projectPath The path to the project's root directory.
+ * @param {string} moduleName The class name of the module (e.g., `UsersModule`).
+ * @param {string} importPath The import path of the module, relative to `src` (e.g., `./modules/users/users.module`).
+ * @param {boolean} [first=false] Whether the module must be registered before the other modules
+ * (e.g., the logger, so it's available while the other modules initialize).
+ * @returns {Promise<boolean>} `true` if the module was registered, `false` if it already was.
+ * @throws {Error} If `app.module.ts` doesn't declare its modules in a `@Module({ imports: [...] })` decorator.
+ */
+export async function registerAppModuleImport(projectPath, moduleName, importPath, first = false) {
+  // Construct the path to the app.module.ts file
+  const appModulePath = path.join(projectPath, 'src', 'app.module.ts').replaceAll('\\', ''); // Ensure correct file path formatting across OS
+
+  let fileContent = await readTextFile(appModulePath);
+  const sourceFile = parseSourceFile(APP_MODULE_FILE, fileContent);
+
+  const moduleMetadata = findModuleMetadata(sourceFile);
+  if (!moduleMetadata) {
+    throw new Error(
+      `Couldn't find the @Module({ ... }) decorator in ${APP_MODULE_FILE}. Register ${moduleName} manually.`,
+    );
+  }
+
+  const importsProperty = moduleMetadata.properties.find(
+    property =>
+      ts.isPropertyAssignment(property) && property.name.getText(sourceFile) === 'imports',
+  );
+
+  if (!importsProperty) {
+    // Create the imports array as the first property of the metadata
+    fileContent = insertImportsProperty(fileContent, sourceFile, moduleMetadata, moduleName);
+  } else if (!ts.isArrayLiteralExpression(importsProperty.initializer)) {
+    throw new Error(
+      `The imports of the @Module() decorator in ${APP_MODULE_FILE} aren't an array literal. Register ${moduleName} manually.`,
+    );
+  } else {
+    const importsArray = importsProperty.initializer;
+
+    // Skip modules that are already registered
+    if (importsArray.elements.some(element => getModuleName(element) === moduleName)) return false;
+
+    fileContent = insertArrayItem(fileContent, sourceFile, importsArray, moduleName, first);
+  }
+
+  fileContent = addImports(APP_MODULE_FILE, fileContent, [
+    { from: importPath, names: [moduleName] },
+  ]);
+
+  await writeTextFile(appModulePath, fileContent);
+  return true;
+}
+
+/**
+ * Finds the metadata object passed to the `@Module()` decorator of a file.
+ *
+ * @param {ts.SourceFile} sourceFile The parsed file.
+ * @returns {ts.ObjectLiteralExpression|undefined} The metadata object, if any.
+ */
+function findModuleMetadata(sourceFile) {
+  for (const statement of sourceFile.statements) {
+    if (!ts.isClassDeclaration(statement)) continue;
+
+    for (const decorator of ts.getDecorators(statement) ?? []) {
+      const { expression } = decorator;
+      if (
+        ts.isCallExpression(expression) &&
+        ts.isIdentifier(expression.expression) &&
+        expression.expression.text === 'Module' &&
+        expression.arguments[0] &&
+        ts.isObjectLiteralExpression(expression.arguments[0])
+      ) {
+        return expression.arguments[0];
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Gets the name of the module registered by an item of the imports array.
+ *
+ * @param {ts.Expression} element The array item (e.g., `UsersModule` or `ConfigModule.forRoot()`).
+ * @returns {string|undefined} The module name, if the item references a module class.
+ */
+function getModuleName(element) {
+  let expression = element;
+
+  // Unwrap dynamic modules, e.g. `ConfigModule.forRoot({ ... })`
+  if (ts.isCallExpression(expression)) expression = expression.expression;
+  if (ts.isPropertyAccessExpression(expression)) expression = expression.expression;
+
+  return ts.isIdentifier(expression) ? expression.text : undefined;
+}
+
+/**
+ * Adds an item at the start or the end of an array literal, keeping its layout (single or multi-line).
+ *
+ * @param {string} fileContent The file content.
+ * @param {ts.SourceFile} sourceFile The parsed file.
+ * @param {ts.ArrayLiteralExpression} array The array literal.
+ * @param {string} item The item to add.
+ * @param {boolean} first Whether the item is added at the start of the array.
+ * @returns {string} The updated content.
+ */
+function insertArrayItem(fileContent, sourceFile, array, item, first) {
+  const { elements } = array;
+  const arrayStart = array.getStart(sourceFile) + 1;
+
+  if (!elements.length) return replaceRange(fileContent, arrayStart, array.end - 1, item);
+
+  const multiline = fileContent.slice(arrayStart, elements[0].getStart(sourceFile)).includes('\n');
+
+  if (first) {
+    // Insert right after the opening bracket, above the comments of the first item
+    const insertedCode = multiline
+      ? `\n${getIndentation(sourceFile, elements[0])}${item},`
+      : `${item}, `;
+    const insertion = multiline ? arrayStart : elements[0].getStart(sourceFile);
+    return replaceRange(fileContent, insertion, insertion, insertedCode);
+  }
+
+  // Insert after the last item, so an existing trailing comma ends up after the new item
+  const lastElement = elements[elements.length - 1];
+  const insertedCode = multiline
+    ? `,\n${getIndentation(sourceFile, lastElement)}${item}`
+    : `, ${item}`;
+  return replaceRange(fileContent, lastElement.end, lastElement.end, insertedCode);
+}
+
+/**
+ * Adds an `imports` property to the metadata of the `@Module()` decorator.
+ *
+ * @param {string} fileContent The file content.
+ * @param {ts.SourceFile} sourceFile The parsed file.
+ * @param {ts.ObjectLiteralExpression} moduleMetadata The metadata object.
+ * @param {string} moduleName The module to import.
+ * @returns {string} The updated content.
+ */
+function insertImportsProperty(fileContent, sourceFile, moduleMetadata, moduleName) {
+  const importsProperty = `imports: [${moduleName}],`;
+  const [firstProperty] = moduleMetadata.properties;
+
+  if (!firstProperty) {
+    const objectStart = moduleMetadata.getStart(sourceFile);
+    return replaceRange(fileContent, objectStart, moduleMetadata.end, `{\n  ${importsProperty}\n}`);
+  }
+
+  const insertion = firstProperty.getStart(sourceFile);
+  const multiline = fileContent
+    .slice(moduleMetadata.getStart(sourceFile), insertion)
+    .includes('\n');
+  const separator = multiline ? `\n${getIndentation(sourceFile, firstProperty)}` : ' ';
+
+  return replaceRange(fileContent, insertion, insertion, `${importsProperty}${separator}`);
+}
@@ -0,0 +1,203 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { writeConnectionVariables } from '../docker/config-generator.js';
+import { getService } from '../docker/service-catalog.js';
+import { mainProjectPath } from '../functions/main-project-path.js';
+import { renderTemplate } from '../plugins/plugin-registry.js';
+import {
+  createDirectory,
+  existsFile,
+  packageInstallation,
+  runPackageScript,
+  writeTextFile,
+} from '../shell/shell.commands.js';
+import { registerAppModuleImport } from './app-module.modifier.js';
+import { addPackageScripts } from './package-json.modifier.js';
+
+// Database setups, keyed by `--database` value: the ORM and the compose service of the database
+const DATABASE_TYPES = {
+  'typeorm-postgresql': { orm: 'typeorm', service: 'postgresql' },
+  'typeorm-mysql': { orm: 'typeorm', service: 'mysql' },
+  mongoose: { orm: 'mongoose', service: 'mongodb' },
+};
+
+// TypeORM driver of each database service, and the connection variables the service catalog writes
+const TYPEORM_DRIVERS = {
+  postgresql: {
+    type: 'postgres',
+    driver: 'pg',
+    host: 'POSTGRES_HOST',
+    port: 'POSTGRES_PORT',
+    username: 'POSTGRES_USER',
+    password: 'POSTGRES_PASSWORD',
+    database: 'POSTGRES_DB',
+  },
+  mysql: {
+    type: 'mysql',
+    driver: 'mysql2',
+    host: 'MYSQL_HOST',
+    port: 'MYSQL_PORT',
+    username: 'MYSQL_USER',
+    password: 'MYSQL_PASSWORD',
+    database: 'MYSQL_DATABASE',
+  },
+};
+
+// Prisma datasource of each database service, the connection URL variable the service catalog
+// writes, and the type and attributes of the sample model's primary key
+const PRISMA_DATASOURCES = {
+  postgresql: {
+    provider: 'postgresql',
+    url: 'POSTGRES_URL',
+    idField: 'Int      @id @default(autoincrement())',
+  },
+  mysql: { provider: 'mysql', url: 'MYSQL_URL', idField: 'Int      @id @default(autoincrement())' },
+  mongodb: {
+    provider: 'mongodb',
+    url: 'MONGODB_URI',
+    idField: 'String   @id @default(auto()) @map("_id") @db.ObjectId',
+  },
+};
+
+// Directory of the database module, relative to the project root
+const DATABASE_DIRECTORY = 'src/modules/database';
+
+// Data source of the TypeORM CLI, relative to the project root
+const DATA_SOURCE = `${DATABASE_DIRECTORY}/data-source.ts`;
+
+/**
+ * Sets up the database module of the project: installs the ORM and the database driver, copies
+ * the module templates, writes the connection variables matching the compose service of the
+ * database and registers the module in `src/app.module.ts`.
+ *
+ * @param {string} projectPath The absolute path to the target project directory.
+ * @param {string} packageManager The package manager to be used (e.g., npm, yarn, pnpm).
+ * @param {string} databaseType The database setup (see `DATABASE_TYPES`).
+ * @param {Object} [dockerComposeConfig] The Docker Compose configuration, whose custom host ports are used.
+ * @returns {Promise<void>} Resolves when the database module is set up.
+ * @throws {Error} If the database setup isn't supported.
+ */
+export async function handleDatabase(
+  projectPath,
+  packageManager,
+  databaseType,
+  dockerComposeConfig,
+) {
+  const database = DATABASE_TYPES[databaseType];
+  if (!database) throw new Error(`Unsupported database "${databaseType}".`);
+
+  switch (database.orm) {
+    case 'typeorm': {
+      const driver = TYPEORM_DRIVERS[database.service];
+      await packageInstallation(projectPath, packageManager, [
+        '@nestjs/typeorm',
+        'typeorm',
+        driver.driver,
+        'dotenv',
+      ]);
+
+      await copyDatabaseTemplates(
+        projectPath,
+        database.orm,
+        ['database.config.ts', 'database.module.ts', 'data-source.ts'],
+        DATABASE_DIRECTORY,
+        { label: getService(database.service).label, ...driver },
+      );
+
+      await addPackageScripts(projectPath, {
+        'migration:generate': `typeorm-ts-node-commonjs migration:generate -d ${DATA_SOURCE}`,
+        'migration:run': `typeorm-ts-node-commonjs migration:run -d ${DATA_SOURCE}`,
+        'migration:revert': `typeorm-ts-node-commonjs migration:revert -d ${DATA_SOURCE}`,
+      });
+      break;
+    }
+
+    case 'mongoose':
+      await packageInstallation(projectPath, packageManager, ['@nestjs/mongoose', 'mongoose']);
+
+      await copyDatabaseTemplates(
+        projectPath,
+        database.orm,
+        ['database.module.ts', 'base.schema.ts', 'schemas/sample.schema.ts'],
+        DATABASE_DIRECTORY,
+      );
+      break;
+  }
+
+  // Connect with the same variables as the compose service
+  await writeConnectionVariables(projectPath, database.service, dockerComposeConfig);
+
+  await registerAppModuleImport(
+    projectPath,
+    'DatabaseModule',
+    './modules/database/database.module',
+  );
+}
+
+/**
+ * Sets up Prisma: installs the client and the CLI, creates `prisma/schema.prisma` with the
+ * datasource of the database selected in the compose file (PostgreSQL if none is) and a sample
+ * `User` model, generates the client, and registers a global `PrismaModule` providing
+ * `PrismaService` in `src/app.module.ts`.
+ *
+ * @param {string} projectPath The absolute path to the target project directory.
+ * @param {string} packageManager The package manager to be used (e.g., npm, yarn, pnpm).
+ * @param {Object} [dockerComposeConfig] The Docker Compose configuration, whose database service and custom host ports are used.
+ * @returns {Promise<void>} Resolves when Prisma is set up.
+ */
+export async function handlePrisma(projectPath, packageManager, dockerComposeConfig) {
+  const composeServices = dockerComposeConfig?.status ? dockerComposeConfig.services : [];
+  const service =
+    Object.keys(PRISMA_DATASOURCES).find(name => composeServices.includes(name)) ?? 'postgresql';
+
+  // Prisma 7 moves the connection URL out of the schema and requires driver adapters
+  await packageInstallation(projectPath, packageManager, ['@prisma/client@^6'], ['prisma@^6']);
+
+  await copyDatabaseTemplates(projectPath, 'prisma', ['schema.prisma'], 'prisma', {
+    label: getService(service).label,
+    ...PRISMA_DATASOURCES[service],
+  });
+  await copyDatabaseTemplates(
+    projectPath,
+    'prisma',
+    ['prisma.module.ts', 'prisma.service.ts'],
+    'src/modules/prisma',
+  );
+
+  await addPackageScripts(projectPath, {
+    'prisma:generate': 'prisma generate',
+    'prisma:migrate': 'prisma migrate dev',
+  });
+
+  // `PrismaService` extends the generated client, so the project doesn't compile without it
+  await runPackageScript(projectPath, packageManager, 'prisma:generate');
+
+  // Connect with the same variables as the compose service
+  await writeConnectionVariables(projectPath, service, dockerComposeConfig);
+
+  await registerAppModuleImport(projectPath, 'PrismaModule', './modules/prisma/prisma.module');
+}
+
+/**
+ * Copies the templates of an ORM into a project directory. Files that already exist are left
+ * untouched.
+ *
+ * @param {string} projectPath The absolute path to the target project directory.
+ * @param {string} orm The ORM whose templates are copied (e.g., `typeorm`).
+ * @param {string[]} files The template paths, relative to the ORM template directory.
+ * @param {string} targetDirectory The directory receiving the files, relative to the project root.
+ * @param {Object<string, string>} [variables={}] The variables rendered in the templates.
+ * @returns {Promise<void>} Resolves when the templates are copied.
+ */
+async function copyDatabaseTemplates(projectPath, orm, files, targetDirectory, variables = {}) {
+  const templateDirectory = path.join(mainProjectPath(import.meta.url), 'database', orm);
+
+  for (const file of files) {
+    const target = path.join(projectPath, targetDirectory, file);
+    if (await existsFile(target)) continue;
+
+    const template = await readFile(path.join(templateDirectory, file), 'utf-8');
+    await createDirectory(path.dirname(target));
+    await writeTextFile(target, renderTemplate(template, variables));
+  }
+}
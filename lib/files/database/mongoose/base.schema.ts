@@ -0,0 +1,31 @@
+import { SchemaOptions } from '@nestjs/mongoose';
+
+/**
+ * Options shared by every schema: `createdAt`/`updatedAt` timestamps, and a JSON shape exposing
+ * `id` instead of `_id` and `__v`, so documents are returned like any other object by the
+ * response interceptor.
+ *
+ * @example
+ * @Schema(baseSchemaOptions)
+ * export class Product extends BaseSchema { ... }
+ */
+export const baseSchemaOptions: SchemaOptions = {
+  timestamps: true,
+  versionKey: false,
+  toJSON: {
+    virtuals: true,
+    transform: (document, result: Record<string, any>) => {
+      delete result._id;
+      return result;
+    },
+  },
+};
+
+/**
+ * Fields every document gets from `baseSchemaOptions`.
+ */
+export abstract class BaseSchema {
+  id: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
@@ -0,0 +1,19 @@
+import { Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { MongooseModule } from '@nestjs/mongoose';
+
+/**
+ * Connects the application to MongoDB with the `MONGODB_URI` loaded by `ConfigModule`.
+ * Feature modules register their schemas with `MongooseModule.forFeature()`.
+ */
+@Module({
+  imports: [
+    MongooseModule.forRootAsync({
+      inject: [ConfigService],
+      useFactory: (configService: ConfigService) => ({
+        uri: configService.getOrThrow<string>('MONGODB_URI'),
+      }),
+    }),
+  ],
+})
+export class DatabaseModule {}
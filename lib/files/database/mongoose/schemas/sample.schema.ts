@@ -0,0 +1,21 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { HydratedDocument } from 'mongoose';
+import { BaseSchema, baseSchemaOptions } from '../base.schema';
+
+export type SampleDocument = HydratedDocument<Sample>;
+
+/**
+ * Sample schema built on `BaseSchema`. Register it in a feature module with
+ * `MongooseModule.forFeature([{ name: Sample.name, schema: SampleSchema }])`, then inject the
+ * model with `@InjectModel(Sample.name)`.
+ */
+@Schema({ ...baseSchemaOptions, collection: 'samples' })
+export class Sample extends BaseSchema {
+  @Prop({ required: true, trim: true })
+  name: string;
+
+  @Prop()
+  description?: string;
+}
+
+export const SampleSchema = SchemaFactory.createForClass(Sample);
@@ -0,0 +1,17 @@
+import { Injectable, OnModuleDestroy, OnModuleInit } from '@nestjs/common';
+import { PrismaClient } from '@prisma/client';
+
+/**
+ * Prisma client shared by the application. It connects when the module is initialized and
+ * disconnects on shutdown, once `app.enableShutdownHooks()` lets Nest handle termination signals.
+ */
+@Injectable()
+export class PrismaService extends PrismaClient implements OnModuleInit, OnModuleDestroy {
+  async onModuleInit() {
+    await this.$connect();
+  }
+
+  async onModuleDestroy() {
+    await this.$disconnect();
+  }
+}
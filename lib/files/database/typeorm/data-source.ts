@@ -0,0 +1,20 @@
+import { config } from 'dotenv';
+import { DataSource } from 'typeorm';
+import { getDatabaseOptions } from './database.config';
+
+// Load the env files like `ConfigModule` does, the first file taking precedence
+config({ path: ['.env.development.local', '.env'], quiet: true });
+
+/**
+ * Data source of the TypeORM CLI, used by the `migration:generate`, `migration:run` and
+ * `migration:revert` scripts.
+ */
+export default new DataSource({
+  ...getDatabaseOptions(name => {
+    const value = process.env[name];
+    if (value === undefined) throw new Error(`The ${name} environment variable is missing.`);
+
+    return value;
+  }),
+  entities: [`${__dirname}/../../**/*.entity{.ts,.js}`],
+});
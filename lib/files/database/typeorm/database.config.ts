@@ -0,0 +1,22 @@
+import { DataSourceOptions } from 'typeorm';
+
+/**
+ * Builds the {{ label }} connection options shared by the application (`DatabaseModule`) and the
+ * TypeORM CLI (`data-source.ts`), from the connection variables of the env files.
+ *
+ * @param {(name: string) => string} getVariable - Reads an environment variable, throwing if it's missing.
+ * @returns {DataSourceOptions} The connection options.
+ */
+export function getDatabaseOptions(getVariable: (name: string) => string): DataSourceOptions {
+  return {
+    type: '{{ type }}',
+    host: getVariable('{{ host }}'),
+    port: Number(getVariable('{{ port }}')),
+    username: getVariable('{{ username }}'),
+    password: getVariable('{{ password }}'),
+    database: getVariable('{{ database }}'),
+    // The schema only changes through migrations, never through synchronization
+    synchronize: false,
+    migrations: [`${__dirname}/migrations/*{.ts,.js}`],
+  };
+}
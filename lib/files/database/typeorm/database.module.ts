@@ -0,0 +1,21 @@
+import { Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { getDatabaseOptions } from './database.config';
+
+/**
+ * Connects the application to the database with the connection variables loaded by
+ * `ConfigModule`. Entities registered with `TypeOrmModule.forFeature()` are loaded automatically.
+ */
+@Module({
+  imports: [
+    TypeOrmModule.forRootAsync({
+      inject: [ConfigService],
+      useFactory: (configService: ConfigService) => ({
+        ...getDatabaseOptions(name => configService.getOrThrow<string>(name)),
+        autoLoadEntities: true,
+      }),
+    }),
+  ],
+})
+export class DatabaseModule {}
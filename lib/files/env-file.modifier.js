@@ -0,0 +1,105 @@
+import path from 'path';
+import ts from 'typescript';
+import {
+  appendTextFile,
+  existsFile,
+  readTextFile,
+  writeTextFile,
+} from '../shell/shell.commands.js';
+import { getIndentation, parseSourceFile, replaceRange } from './source-file.modifier.js';
+
+// Name of the env definition file in error messages
+const ENV_DEFINITION_FILE = 'src/common/definitions/env.d.ts';
+
+/**
+ * Appends an entry to an environment file, unless the file already contains it.
+ *
+ * @param {string} filePath - The absolute path to the environment file (created if missing).
+ * @param {string} marker - Text identifying the entry in the file.
+ * @param {string} content - The entry to append.
+ * @returns {Promise<void>} - Resolves when the operation is complete.
+ */
+export async function appendEnvEntry(filePath, marker, content) {
+  const envContent = (await existsFile(filePath)) ? await readTextFile(filePath) : '';
+  if (envContent.includes(marker)) return;
+
+  await appendTextFile(filePath, content);
+}
+
+/**
+ * Reads the variables of an environment file.
+ *
+ * @param {string} filePath - The absolute path to the environment file.
+ * @returns {Promise<Object<string, string>>} - The variable values, keyed by name. Empty if the file doesn't exist.
+ */
+export async function readEnvVariables(filePath) {
+  if (!(await existsFile(filePath))) return {};
+
+  const variables = {};
+  for (const line of (await readTextFile(filePath)).split('\n')) {
+    const match = /^\s*(?:export\s+)?([\w.]+)\s*=\s*(.*?)\s*$/.exec(line);
+    if (match) variables[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+
+  return variables;
+}
+
+/**
+ * Types environment variables in the `ProcessEnv` interface of `src/common/definitions/env.d.ts`,
+ * under a comment naming their section. Variables that are already typed are skipped.
+ *
+ * @param {string} projectPath The path to the project's root directory.
+ * @param {string} section The comment placed above the variables (e.g., `Redis Environmental Variables`).
+ * @param {string[]} names The variable names.
+ * @returns {Promise<boolean>} `true` if variables were added, `false` if they were all typed already.
+ * @throws {Error} If the file doesn't declare a `ProcessEnv` interface.
+ */
+export async function addEnvDefinitions(projectPath, section, names) {
+  const envDefinitionPath = path.join(projectPath, ENV_DEFINITION_FILE);
+
+  const fileContent = await readTextFile(envDefinitionPath);
+  const sourceFile = parseSourceFile(ENV_DEFINITION_FILE, fileContent);
+
+  const processEnv = findInterface(sourceFile, 'ProcessEnv');
+  if (!processEnv) {
+    throw new Error(
+      `Couldn't find the ProcessEnv interface in ${ENV_DEFINITION_FILE}. Add ${names.join(', ')} manually.`,
+    );
+  }
+
+  const typedNames = processEnv.members.map(member => member.name?.getText(sourceFile));
+  const missingNames = names.filter(name => !typedNames.includes(name));
+  if (!missingNames.length) return false;
+
+  const { members } = processEnv;
+  const lastMember = members[members.length - 1];
+  const indentation = lastMember
+    ? getIndentation(sourceFile, lastMember)
+    : `${getIndentation(sourceFile, processEnv)}  `;
+  const definitions = [`// ${section}`, ...missingNames.map(name => `${name}: string;`)]
+    .map(line => `\n${indentation}${line}`)
+    .join('');
+
+  // Insert after the last member, or right after the opening brace of an empty interface
+  const insertion = lastMember ? lastMember.end : fileContent.indexOf('{', processEnv.name.end) + 1;
+  const separator = lastMember ? '\n' : '';
+
+  await writeTextFile(
+    envDefinitionPath,
+    replaceRange(fileContent, insertion, insertion, `${separator}${definitions}`),
+  );
+  return true;
+}
+
+/**
+ * Finds an interface declaration anywhere in a file (e.g., inside `namespace NodeJS`).
+ *
+ * @param {ts.Node} node The node to search.
+ * @param {string} name The interface name.
+ * @returns {ts.InterfaceDeclaration|undefined} The interface, if any.
+ */
+function findInterface(node, name) {
+  if (ts.isInterfaceDeclaration(node) && node.name.text === name) return node;
+
+  return ts.forEachChild(node, child => findInterface(child, name));
+}
@@ -1,15 +1,22 @@
 import { log } from '@clack/prompts';
-import { execa } from 'execa';
-import fs from 'fs/promises';
+import { readFile } from 'fs/promises';
 import path from 'path';
 import { mainProjectPath } from '../functions/main-project-path.js';
+import { trackFeature } from '../manifest/feature-tracker.js';
+import { getPlugin, listPluginFiles, renderTemplate } from '../plugins/plugin-registry.js';
 import {
   copyDirectory,
   copyFile,
   createDirectory,
+  existsFile,
   packageInstallation,
+  readTextFile,
   removeFile,
+  writeTextFile,
 } from '../shell/shell.commands.js';
+import { registerAppModuleImport } from './app-module.modifier.js';
+import { handleDatabase, handlePrisma } from './database.manager.js';
+import { appendEnvEntry } from './env-file.modifier.js';
 
 /**
  * Manages the setup of files and configurations for the project.
@@ -24,11 +31,16 @@ import {
  * @param {boolean} options.userDefinition - Whether to include user definition files.
  * @param {boolean} options.swaggerConfig - Whether to include the Swagger configuration file.
  * @param {Object} options.securityOptions - Whether to include the security files.
+ * @param {string} [options.databaseType] - The database module to set up (see `DATABASE_TYPES`).
+ * @param {Object} [options.dockerComposeConfig] - The Docker Compose configuration, whose database service and custom host ports the database module and Prisma connect to.
  * @param {string} [options.paginationType] - The type of pagination utility to include.
+ * @param {string} [options.cacheMode] - Whether to cache every GET route (`global`) or the `@Cacheable()` routes only (`decorator`).
  * @param {boolean} options.multer - Whether to include Multer utility files and install its dependencies.
  * @param {boolean} options.prettier - Whether to Update prettier to use tabs ot not.
  * @param {boolean} options.winstonLogger - Whether to include the Winston Logger configuration file.
- * @param {boolean} [addingFeature=false] - Whether the process involves adding a feature to an existing directory.
+ * @param {Object<string, Object>} [options.plugins] - The plugin features to apply, with the answers to their prompts.
+ * @param {boolean} [addingFeature=false] - Whether the process involves adding a feature to an existing directory,
+ * in which case the existing files are kept untouched.
  * @returns {Promise<void>} Resolves when all file management tasks are completed.
  */
 export async function filesManager(projectPath, packageManager, options, addingFeature = false) {
@@ -41,76 +53,173 @@ export async function filesManager(projectPath, packageManager, options, addingF
   await createDirectory(commonDirectory);
   await createDirectory(configDirectory);
 
-  // Replace default eslint file with a custom one
-  await handleEsLint(projectPath, basePath);
-
-  // Replace default prettier file with a more detailed and option one
-  await handlePrettier(projectPath, basePath, options.prettier);
-
-  // Replace default jest-e2e.json` with a custom one
-  await handleJestE2EConfig(projectPath, basePath, packageManager, addingFeature);
+  // The core files of a project already set up by Nest Craft are kept as they are
+  const envDefinitionPath = path.join(commonDirectory, 'definitions/env.d.ts');
+  if (addingFeature && (await existsFile(envDefinitionPath))) {
+    if (options.prettier) await enablePrettierTabs(path.join(projectPath, '.prettierrc'));
+  } else {
+    await trackFeature('core', async () => {
+      // Replace default eslint file with a custom one
+      await handleEsLint(projectPath, basePath, addingFeature);
+
+      // Replace default prettier file with a more detailed and option one
+      await handlePrettier(projectPath, basePath, options.prettier, addingFeature);
+
+      // Replace default jest-e2e.json` with a custom one
+      await handleJestE2EConfig(projectPath, basePath, packageManager, addingFeature);
+
+      // Process env definition
+      await createDirectory(path.join(commonDirectory, 'definitions'));
+      await copyTemplateFile(path.join(basePath, 'definitions/env.d.ts'), envDefinitionPath);
+    });
+  }
 
   // Utility to handle optional file/directory copying
   const handleCopy = async (condition, source, destination, isFile = false) => {
+    if (!condition) return;
+
     if (isFile) {
-      if (condition) await copyFile(source, destination);
+      await copyTemplateFile(source, destination);
+    } else {
+      await copyTemplateDirectory(source, destination);
     }
-
-    if (condition) await copyDirectory(source, destination);
   };
 
   // Process filters, interceptors definitions
-  await handleCopy(options.customFilter, path.join(basePath, 'filters/'), commonDirectory);
-  await handleCopy(options.customInterceptor, path.join(basePath, 'interceptor/'), commonDirectory);
-
-  // Process env definition
-  await createDirectory(path.join(commonDirectory, 'definitions'));
-  await copyFile(
-    path.join(basePath, 'definitions/env.d.ts'),
-    path.join(commonDirectory, 'definitions/env.d.ts'),
+  await trackFeature('filter', () =>
+    handleCopy(options.customFilter, path.join(basePath, 'filters/'), commonDirectory),
+  );
+  await trackFeature('interceptor', () =>
+    handleCopy(options.customInterceptor, path.join(basePath, 'interceptor/'), commonDirectory),
   );
 
   // Process user definition
-  await handleCopy(
-    options.userDefinition,
-    path.join(basePath, 'definitions/request.d.ts'),
-    path.join(commonDirectory, 'definitions/request.d.ts'),
-    true,
+  await trackFeature('user-definition', () =>
+    handleCopy(
+      options.userDefinition,
+      path.join(basePath, 'definitions/request.d.ts'),
+      path.join(commonDirectory, 'definitions/request.d.ts'),
+      true,
+    ),
   );
 
   // Handle Winston Logger configuration
   if (options.winstonLogger) {
-    await handleWinstonLogger(projectPath, basePath, modulesDirectory, packageManager);
+    await trackFeature('winston', () =>
+      handleWinstonLogger(projectPath, basePath, modulesDirectory, packageManager),
+    );
   }
 
   // Copy Swagger configuration file
   if (options.swaggerConfig) {
-    await packageInstallation(projectPath, packageManager, [
-      '@nestjs/swagger',
-      'swagger-ui-express',
-    ]);
+    await trackFeature('swagger', async () => {
+      await packageInstallation(projectPath, packageManager, [
+        '@nestjs/swagger',
+        'swagger-ui-express',
+      ]);
+
+      await copyTemplateFile(path.join(basePath, 'configs/swagger.config.ts'), configDirectory);
 
-    await copyFile(path.join(basePath, 'configs/swagger.config.ts'), configDirectory);
+      // Copy assets directory to project root
+      await copyTemplateDirectory(path.join(basePath, 'assets/'), projectPath);
+    });
+  }
 
-    // Copy assets directory to project root
-    await copyDirectory(path.join(basePath, 'assets/'), projectPath);
+  // Set up the database module
+  if (options.databaseType) {
+    await trackFeature('database', () =>
+      handleDatabase(
+        projectPath,
+        packageManager,
+        options.databaseType,
+        options.dockerComposeConfig,
+      ),
+    );
   }
 
   // Handle pagination utilities
-  await handlePagination(
-    options.paginationType,
-    basePath,
-    commonDirectory,
-    projectPath,
-    packageManager,
+  await trackFeature('pagination', () =>
+    handlePagination(
+      options.paginationType,
+      basePath,
+      commonDirectory,
+      projectPath,
+      packageManager,
+      options.dockerComposeConfig,
+      options.databaseType,
+    ),
   );
 
+  // Set up the cache module
+  if (options.cacheMode) {
+    await trackFeature('cache', () =>
+      handleCache(projectPath, basePath, modulesDirectory, packageManager),
+    );
+  }
+
   await handleSecurityFiles(projectPath, basePath, packageManager, options.securityOptions);
 
   // Handle Multer utility
   if (options.multer) {
-    await packageInstallation(projectPath, packageManager, ['multer'], ['@types/multer']);
-    await copyDirectory(path.join(basePath, 'utils/multer/'), path.join(commonDirectory, 'utils/'));
+    await trackFeature('multer', async () => {
+      await packageInstallation(projectPath, packageManager, ['multer'], ['@types/multer']);
+      await copyTemplateDirectory(
+        path.join(basePath, 'utils/multer/'),
+        path.join(commonDirectory, 'utils/'),
+      );
+    });
+  }
+
+  // Apply the plugin features
+  for (const [id, answers] of Object.entries(options.plugins ?? {})) {
+    await trackFeature(id, () => handlePlugin(projectPath, packageManager, getPlugin(id), answers));
+  }
+}
+
+/**
+ * Applies a plugin feature: installs its dependencies, copies its templates, appends its
+ * environment variables and registers its modules in `src/app.module.ts`. Its `main.ts`
+ * registrations are added by `modifyMainTsFile()`.
+ *
+ * @param {string} projectPath - The absolute path to the target project directory.
+ * @param {string} packageManager The package manager to be used (e.g., npm, yarn, pnpm).
+ * @param {Object} plugin - The plugin (see `loadPlugins()`).
+ * @param {Object} answers - The answers to the plugin prompts.
+ * @returns {Promise<void>} - Resolves when the plugin is applied.
+ */
+async function handlePlugin(projectPath, packageManager, plugin, answers) {
+  const render = text => renderTemplate(text, answers);
+
+  if (plugin.dependencies.length || plugin.devDependencies.length) {
+    await packageInstallation(
+      projectPath,
+      packageManager,
+      plugin.dependencies.map(render),
+      plugin.devDependencies.map(render),
+    );
+  }
+
+  for (const file of listPluginFiles(plugin, answers)) {
+    const target = path.join(projectPath, file.target);
+    await createDirectory(path.dirname(target));
+
+    // Templates without placeholders (including binary files) are copied as they are
+    const content = await readFile(file.source, 'utf-8');
+    if (!content.includes('{{')) {
+      await copyTemplateFile(file.source, target);
+    } else if (!(await existsFile(target))) {
+      await writeTextFile(target, render(content));
+    }
+  }
+
+  for (const [name, value] of Object.entries(plugin.env)) {
+    for (const file of ['.env', '.env.development.local']) {
+      await appendEnvEntry(path.join(projectPath, file), `${name}=`, `${name}=${render(value)}\n`);
+    }
+  }
+
+  for (const module of plugin.modules) {
+    await registerAppModuleImport(projectPath, module.name, module.from);
   }
 }
 
@@ -118,11 +227,13 @@ export async function filesManager(projectPath, packageManager, options, addingF
  * Handles the setup of pagination utilities based on the specified type.
  * @async
  * @function handlePagination
- * @param {string} paginationType - The type of pagination utility to include. Supported values: "typeorm", "mongoose".
+ * @param {string} paginationType - The type of pagination utility to include. Supported values: "typeorm", "mongoose", "prisma".
  * @param {string} basePath - The base path of the source project files.
  * @param {string} commonDirectory - The path to the "common" directory in the target project.
  * @param {string} projectPath - The absolute path to the target project directory.
  * @param {string} packageManager The package manager to be used (e.g., npm, yarn, pnpm).
+ * @param {Object} [dockerComposeConfig] - The Docker Compose configuration, whose database service Prisma connects to.
+ * @param {string} [databaseType] - The database module set up in the same run (e.g., `typeorm-postgresql`).
  * @returns {Promise<void>} Resolves when the pagination setup is completed.
  */
 async function handlePagination(
@@ -131,24 +242,31 @@ async function handlePagination(
   commonDirectory,
   projectPath,
   packageManager,
+  dockerComposeConfig,
+  databaseType,
 ) {
   if (!paginationType) return;
 
+  // The database module of the same ORM already installed its packages
+  const ormInstalled = databaseType?.split('-')[0] === paginationType;
+
   const paginationDirectory = path.join(commonDirectory, 'utils/pagination/');
   await createDirectory(paginationDirectory);
 
   switch (paginationType) {
     case 'typeorm':
-      await packageInstallation(projectPath, packageManager, ['@nestjs/typeorm', 'typeorm']);
-      await copyFile(
+      if (!ormInstalled) {
+        await packageInstallation(projectPath, packageManager, ['@nestjs/typeorm', 'typeorm']);
+      }
+      await copyTemplateFile(
         path.join(basePath, 'utils/pagination/pagination.dto.ts'),
         path.join(paginationDirectory, 'pagination.dto.ts'),
       );
-      await copyFile(
+      await copyTemplateFile(
         path.join(basePath, 'utils/pagination/pagination.interface.ts'),
         path.join(paginationDirectory, 'pagination.interface.ts'),
       );
-      await copyFile(
+      await copyTemplateFile(
         path.join(basePath, 'utils/pagination/typeorm.pagination.utility.ts'),
         path.join(paginationDirectory, 'typeorm.pagination.utility.ts'),
       );
@@ -158,23 +276,39 @@ async function handlePagination(
       await packageInstallation(
         projectPath,
         packageManager,
-        ['@nestjs/mongoose', 'mongoose'],
+        ormInstalled ? [] : ['@nestjs/mongoose', 'mongoose'],
         ['@types/mongoose'],
       );
-      await copyFile(
+      await copyTemplateFile(
         path.join(basePath, 'utils/pagination/pagination.dto.ts'),
         path.join(paginationDirectory, 'pagination.dto.ts'),
       );
-      await copyFile(
+      await copyTemplateFile(
         path.join(basePath, 'utils/pagination/pagination.interface.ts'),
         path.join(paginationDirectory, 'pagination.interface.ts'),
       );
-      await copyFile(
+      await copyTemplateFile(
         path.join(basePath, 'utils/pagination/mongoose.pagination.utility.ts'),
         path.join(paginationDirectory, 'mongoose.pagination.utility.ts'),
       );
       break;
 
+    case 'prisma':
+      await handlePrisma(projectPath, packageManager, dockerComposeConfig);
+      await copyTemplateFile(
+        path.join(basePath, 'utils/pagination/pagination.dto.ts'),
+        path.join(paginationDirectory, 'pagination.dto.ts'),
+      );
+      await copyTemplateFile(
+        path.join(basePath, 'utils/pagination/pagination.interface.ts'),
+        path.join(paginationDirectory, 'pagination.interface.ts'),
+      );
+      await copyTemplateFile(
+        path.join(basePath, 'utils/pagination/prisma.pagination.utility.ts'),
+        path.join(paginationDirectory, 'prisma.pagination.utility.ts'),
+      );
+      break;
+
     default:
       log.warn(`Unsupported pagination type: ${paginationType}`);
   }
@@ -186,12 +320,16 @@ async function handlePagination(
  *
  * @param {string} projectPath - The absolute path to the target project directory.
  * @param {string} basePath - The absolute path to the base directory containing the ESLint configuration.
+ * @param {boolean} [addingFeature] - Whether the process involves adding a feature to an existing directory.
  * @returns {Promise<void>} - Resolves when the operation is complete.
  */
-async function handleEsLint(projectPath, basePath) {
+async function handleEsLint(projectPath, basePath, addingFeature) {
+  // Don't replace the project's own config if it's during adding new feature
+  if (addingFeature) return;
+
   await removeFile(path.join(projectPath, 'eslint.config.mjs'));
 
-  await copyFile(path.join(basePath, 'configs/eslint.config.mjs'), projectPath);
+  await copyTemplateFile(path.join(basePath, 'configs/eslint.config.mjs'), projectPath);
 }
 
 /**
@@ -203,24 +341,47 @@ async function handleEsLint(projectPath, basePath) {
  * @param {string} projectPath - The absolute path to the target project directory.
  * @param {string} basePath - The absolute path to the base directory containing the prettier configuration.
  * @param {boolean} condition - Condition which will determine whether to update the prettier file or not
+ * @param {boolean} [addingFeature] - Whether the process involves adding a feature to an existing directory.
  * @returns {Promise<void>} - Resolves when the operation is complete.
  */
-async function handlePrettier(projectPath, basePath, condition) {
+async function handlePrettier(projectPath, basePath, condition, addingFeature) {
   const prettierConfigPath = path.join(projectPath, '.prettierrc');
+
+  // Don't replace the project's own config if it's during adding new feature, only switch it to tabs
+  if (addingFeature) {
+    if (condition && (await existsFile(prettierConfigPath))) {
+      await enablePrettierTabs(prettierConfigPath);
+    }
+    return;
+  }
+
   await removeFile(prettierConfigPath);
+  const prettierIgnorePath = path.join(projectPath, '.prettierignore');
+  if (await existsFile(prettierIgnorePath)) await removeFile(prettierIgnorePath);
 
-  await copyFile(path.join(basePath, 'configs/.prettierrc'), projectPath);
-  await copyFile(path.join(basePath, 'configs/.prettierignore'), projectPath);
+  await copyTemplateFile(path.join(basePath, 'configs/.prettierrc'), projectPath);
+  await copyTemplateFile(path.join(basePath, 'configs/.prettierignore'), projectPath);
 
-  if (!condition) return;
+  if (condition) await enablePrettierTabs(prettierConfigPath);
+}
 
-  const prettierConfigContent = await fs.readFile(prettierConfigPath, 'utf-8');
+/**
+ * Updates a prettier configuration file to use tabs for indentation.
+ *
+ * @param {string} prettierConfigPath - The absolute path to the `.prettierrc` file.
+ * @returns {Promise<void>} - Resolves when the operation is complete.
+ */
+async function enablePrettierTabs(prettierConfigPath) {
+  const prettierConfigContent = await readTextFile(prettierConfigPath);
   const prettierConfig = JSON.parse(prettierConfigContent);
 
+  // Keep the file untouched when it already uses tabs
+  if (prettierConfig.useTabs === true && prettierConfig.tabWidth === 2) return;
+
   prettierConfig.tabWidth = 2;
   prettierConfig.useTabs = true;
 
-  await fs.writeFile(prettierConfigPath, `${JSON.stringify(prettierConfig, null, 2)}\n`);
+  await writeTextFile(prettierConfigPath, `${JSON.stringify(prettierConfig, null, 2)}\n`);
 }
 
 /**
@@ -242,7 +403,7 @@ async function handleJestE2EConfig(projectPath, basePath, packageManager, adding
   // Install required package
   await packageInstallation(projectPath, packageManager, [], ['jest-module-name-mapper']);
 
-  await copyFile(
+  await copyTemplateFile(
     path.join(basePath, 'configs/jest-e2e.json'),
     path.join(projectPath, 'test/jest-e2e.json'),
   );
@@ -257,27 +418,36 @@ async function handleSecurityFiles(projectPath, basePath, packageManager, securi
   await createDirectory(securityDirectory);
 
   if (options.includes('cors')) {
-    await copyFile(
-      path.join(basePath, 'security/cors.ts'),
-      path.join(securityDirectory, 'cors.ts'),
-    );
+    await trackFeature('cors', async () => {
+      await copyTemplateFile(
+        path.join(basePath, 'security/cors.ts'),
+        path.join(securityDirectory, 'cors.ts'),
+      );
 
-    const envPortCommand = `cd ${projectPath} && echo "CORS_ORIGIN=http://localhost:3000,http://localhost:3001,http://localhost:3002" | tee -a .env .env.development.local > /dev/null`;
-    await execa(envPortCommand, { shell: true });
+      const corsEnvLine =
+        'CORS_ORIGIN=http://localhost:3000,http://localhost:3001,http://localhost:3002\n';
+      for (const file of ['.env', '.env.development.local']) {
+        await appendEnvEntry(path.join(projectPath, file), 'CORS_ORIGIN=', corsEnvLine);
+      }
+    });
   }
 
   if (options.includes('helmet')) {
-    await packageInstallation(projectPath, packageManager, ['helmet'], ['@types/helmet']);
-    await copyFile(
-      path.join(basePath, 'security/helmet.ts'),
-      path.join(securityDirectory, 'helmet.ts'),
-    );
+    await trackFeature('helmet', async () => {
+      await packageInstallation(projectPath, packageManager, ['helmet'], ['@types/helmet']);
+      await copyTemplateFile(
+        path.join(basePath, 'security/helmet.ts'),
+        path.join(securityDirectory, 'helmet.ts'),
+      );
+    });
   }
 
   if (options.includes('fake-tech-stack-headers')) {
-    await copyFile(
-      path.join(basePath, 'security/custom-headers.Interceptor.ts'),
-      path.join(securityDirectory, 'custom-headers.Interceptor.ts'),
+    await trackFeature('fake-headers', () =>
+      copyTemplateFile(
+        path.join(basePath, 'security/custom-headers.Interceptor.ts'),
+        path.join(securityDirectory, 'custom-headers.Interceptor.ts'),
+      ),
     );
   }
 }
@@ -290,7 +460,7 @@ async function handleWinstonLogger(projectPath, basePath, modulesDirectory, pack
     'uuid',
   ]);
 
-  await copyDirectory(path.join(basePath, 'utils/logger/'), modulesDirectory);
+  await copyTemplateDirectory(path.join(basePath, 'utils/logger/'), modulesDirectory);
 
   const winstonEnvBlock = `
 # Winston Logger Environmental Variables
@@ -309,6 +479,71 @@ async function handleWinstonLogger(projectPath, basePath, modulesDirectory, pack
     const filePath = path.join(projectPath, file);
 
     // Create the file if it doesn't exist
-    await fs.appendFile(filePath, winstonEnvBlock);
+    await appendEnvEntry(filePath, '# Winston Logger Environmental Variables', winstonEnvBlock);
   }
 }
+
+/**
+ * Sets up the cache module: installs `@nestjs/cache-manager` with the Keyv stores, copies the
+ * module into `src/modules/cache` and registers it in `src/app.module.ts`. The module uses the
+ * Redis server of `REDIS_URL` (written by the `redis` Docker service) or an in-memory store.
+ *
+ * @param {string} projectPath - The absolute path to the target project directory.
+ * @param {string} basePath - The base path of the source project files.
+ * @param {string} modulesDirectory - The path to the "modules" directory in the target project.
+ * @param {string} packageManager The package manager to be used (e.g., npm, yarn, pnpm).
+ * @returns {Promise<void>} - Resolves when the cache module is set up.
+ */
+async function handleCache(projectPath, basePath, modulesDirectory, packageManager) {
+  // Pin the versions the cache module templates are written against
+  await packageInstallation(projectPath, packageManager, [
+    '@nestjs/cache-manager@^3.1.0',
+    'cache-manager@^7.2.0',
+    'keyv@^5.5.0',
+    '@keyv/redis@^5.1.0',
+    'cacheable@^2.1.0',
+  ]);
+
+  // Copy into `src/modules/cache`, the modules directory being created if missing
+  await createDirectory(modulesDirectory);
+  await copyTemplateDirectory(path.join(basePath, 'utils/cache/'), modulesDirectory);
+
+  const cacheEnvBlock = `
+# Cache Environmental Variables
+# Entries are stored in Redis when REDIS_URL is set, in memory otherwise
+# CACHE_TTL=60000
+`;
+
+  for (const file of ['.env', '.env.development.local']) {
+    await appendEnvEntry(
+      path.join(projectPath, file),
+      '# Cache Environmental Variables',
+      cacheEnvBlock,
+    );
+  }
+
+  await registerAppModuleImport(projectPath, 'AppCacheModule', './modules/cache');
+}
+
+/**
+ * Copies a template file into the project, keeping the file already present at the
+ * target path (replaced files are removed beforehand).
+ *
+ * @param {string} source - The path of the template file.
+ * @param {string} destination - The destination directory or file path.
+ * @returns {Promise<boolean>} - Resolves to `true` if the operation is successful.
+ */
+function copyTemplateFile(source, destination) {
+  return copyFile(source, destination, false);
+}
+
+/**
+ * Copies a template directory into the project, keeping the files already present in it.
+ *
+ * @param {string} source - The path of the template directory.
+ * @param {string} destination - The destination directory or directory path.
+ * @returns {Promise<boolean>} - Resolves to `true` if the operation is successful.
+ */
+function copyTemplateDirectory(source, destination) {
+  return copyDirectory(source, destination, false);
+}
@@ -1,11 +1,27 @@
-import { execa } from 'execa';
-import fs from 'fs/promises';
 import path from 'path';
+import ts from 'typescript';
+import { getPlugin, renderTemplate } from '../plugins/plugin-registry.js';
+import { readTextFile, writeTextFile } from '../shell/shell.commands.js';
+import {
+  addImports,
+  getIndentation,
+  normalizeCode,
+  parseSourceFile,
+  replaceRange,
+} from './source-file.modifier.js';
+
+// Name of the main file in error messages
+const MAIN_FILE = 'src/main.ts';
 
 /**
  * Modifies the main.ts file in the NestJS project by conditionally inserting
  * necessary import statements and global method configurations based on the options.
  *
+ * The file is edited through its syntax tree: named imports are merged into the existing
+ * import declarations, and the registrations are placed right after the
+ * `await NestFactory.create()` call, in the order of the `getRegistrations()` list, whatever
+ * the other statements of the bootstrap function. Registrations already present are skipped.
+ *
  * @param {string} projectPath The path to the project's root directory.
  * @param {Object} options The options that control which modifications to apply.
  * @param {boolean} options.customFilter If true, adds custom exception filter.
@@ -15,77 +31,126 @@ import path from 'path';
  * @param {boolean} options.apiVersioning If true, adds API versioning configuration.
  * @param {Object} options.securityOptions - Whether to include the security files.
  * @param {boolean} options.winstonLogger If true, adds Winston Logger configuration.
- * @throws {Error} Throws an error if modification fails.
+ * @param {string} [options.paginationType] If `prisma`, enables the shutdown hooks closing the Prisma connection.
+ * @param {string} [options.cacheMode] If `global`, caches every GET route with the cache interceptor.
+ * @param {Object<string, Object>} [options.plugins] The plugin features, with the answers to their prompts.
+ * @param {boolean} [addingFeature=false] Whether the process involves adding a feature to an existing project,
+ * in which case the app is only switched to Express for the Swagger assets (e.g., a Fastify app stays as is).
+ * @throws {Error} Throws an error if the file shape isn't recognized.
  */
-export async function modifyMainTsFile(projectPath, options) {
+export async function modifyMainTsFile(projectPath, options, addingFeature = false) {
   // Construct the path to the main.ts file
   const mainFilePath = path.join(projectPath, 'src', 'main.ts').replaceAll('\\', ''); // Ensure correct file path formatting across OS
 
-  const customPipeModification = {
-    condition: options.customPipe,
-    importStatement: [`import { HttpStatus, ValidationPipe } from '@nestjs/common';`],
-    line: [
-      `app.useGlobalPipes(new ValidationPipe({whitelist: true, transform: true, errorHttpStatusCode: HttpStatus.UNPROCESSABLE_ENTITY}));`,
-    ],
-    comment: ['// initialize custom validation pipe'],
-  };
+  // Apply every modification in memory, then write the file once
+  let fileContent = await readTextFile(mainFilePath);
 
-  // Define the modifications based on the provided options
-  const modifications = [
-    {
-      condition: options.customFilter,
-      importStatement: [
-        `import { CustomExceptionFilter } from './common/filters/exception.filter';`,
-      ],
-      line: [`app.useGlobalFilters(new CustomExceptionFilter());`],
-      comment: ['// initialize custom exception filter'],
-    },
-    customPipeModification,
-    {
-      condition: options.swaggerConfig,
-      importStatement: [`import { swaggerConfiguration } from './configs/swagger.config';`],
-      line: [`swaggerConfiguration(app);`],
-      comment: ['// initialize swagger'],
+  // The assets folder is served by the Express application
+  const staticAssets = !addingFeature || !!options.swaggerConfig;
+
+  const registrations = getRegistrations(options, staticAssets).filter(
+    registration => registration.condition,
+  );
+  for (const registration of registrations) {
+    fileContent = addImports(MAIN_FILE, fileContent, registration.imports ?? []);
+  }
+
+  // Each registration is placed after the previous one, starting right after the app creation
+  let anchor = findAppCreation(parseSourceFile(MAIN_FILE, fileContent)).statement.end;
+  for (const registration of registrations) {
+    ({ fileContent, anchor } = insertRegistration(fileContent, registration, anchor));
+  }
+
+  // Replace Nest application with Nest Express Application
+  fileContent = ensureNestExpressApplication(fileContent, staticAssets, options.winstonLogger);
+  // add catch to bootstrap call
+  fileContent = wrapBootstrapCallWithCatch(fileContent);
+
+  await writeTextFile(mainFilePath, fileContent);
+}
+
+/**
+ * Lists the registrations Nest Craft adds to the bootstrap function, in the order they
+ * appear after the app creation. Plugin registrations come after the built-in ones.
+ *
+ * - `condition`: Whether the registration applies to the current options.
+ * - `imports`: The imports it needs (see `addImports()`).
+ * - `statements`: The statements it adds.
+ * - `comment`: The comment lines placed above the statements.
+ * - `callee`: For registrations that must only exist once, the called function identifying
+ *   them (e.g., a project already calling `app.setGlobalPrefix()` keeps its prefix).
+ * - `interceptors`: For the interceptors registration, the instances passed to
+ *   `app.useGlobalInterceptors()`, merged into an existing call.
+ *
+ * @param {Object} options The options that control which modifications to apply.
+ * @param {boolean} staticAssets Whether the assets folder is registered as static files directory.
+ * @returns {Object[]} The registrations.
+ */
+function getRegistrations(options, staticAssets) {
+  const security = selection =>
+    options.securityOptions.enabled && options.securityOptions.selections.includes(selection);
+
+  const interceptors = [
+    options.winstonLogger && { instance: 'loggingInterceptor' },
+    security('fake-tech-stack-headers') && {
+      instance: 'new CustomHeadersInterceptor()',
+      import: {
+        from: './security/custom-headers.Interceptor',
+        names: ['CustomHeadersInterceptor'],
+      },
     },
-    {
-      condition: options.apiVersioning,
-      importStatement: [`import { VersioningType } from "@nestjs/common";`],
-      line: [`app.enableVersioning({type: VersioningType.URI,defaultVersion: "1"});`],
-      comment: ['// Enable API versioning'],
+    options.cacheMode === 'global' && {
+      instance: 'app.get(HttpCacheInterceptor)',
+      import: { from: './modules/cache', names: ['HttpCacheInterceptor'] },
     },
-    {
-      condition: !!options.prefix,
-      importStatement: [],
-      line: [`app.setGlobalPrefix("${options.prefix}");`],
-      comment: ['// Set global prefix for all routes'],
+    options.customInterceptor && {
+      instance: 'new ResponseTransformerInterceptor()',
+      import: {
+        from: './common/interceptor/response-transformer.interceptor',
+        names: ['ResponseTransformerInterceptor'],
+      },
     },
+  ].filter(Boolean);
+
+  return [
     {
-      condition:
-        options.securityOptions.enabled && options.securityOptions.selections.includes('helmet'),
-      importStatement: [
-        `import helmet from 'helmet';`,
-        `import { helmetConfig } from './security/helmet';`,
+      condition: options.winstonLogger,
+      imports: [
+        {
+          from: './modules/logger',
+          names: [
+            'AppLogger',
+            'LoggingInterceptor',
+            'initializeConsoleOverrides',
+            'RequestContextMiddleware',
+          ],
+        },
       ],
-      line: [`if (process.env.NODE_ENV === "production") {app.use(helmet(helmetConfig));}`],
-      comment: ['// Secure the app with Helmet'],
+      statements: [
+        'const appLogger = app.get(AppLogger);',
+        'const requestContextMiddleware = app.get(RequestContextMiddleware);',
+        'const loggingInterceptor = app.get(LoggingInterceptor);',
+      ],
+      comment: ['// Get logger services'],
     },
     {
-      condition:
-        options.securityOptions.enabled && options.securityOptions.selections.includes('cors'),
-      importStatement: [`import { getCorsConfig } from './security/cors';`],
-      line: [`app.enableCors(getCorsConfig(["*"]));`],
-      comment: ['// Apply CORS config'],
+      condition: options.winstonLogger,
+      statements: ['app.useLogger(appLogger);'],
+      comment: ['// Replace NestJS default logger with Winston-based AppLogger'],
+      callee: 'app.useLogger',
     },
     {
-      condition: true,
-      importStatement: [],
-      line: [`app.useStaticAssets('assets');`],
-      comment: ['// Register assets folder as static files directory'],
+      condition: options.winstonLogger,
+      statements: ['initializeConsoleOverrides(appLogger);'],
+      comment: [
+        '// Initialize console overrides to route all console.* calls through Winston',
+        '// This must be done early, before other modules start logging',
+      ],
     },
     {
       condition: options.winstonLogger,
-      importStatement: ['import { NextFunction, Request, Response } from "express";'],
-      line: [
+      imports: [{ from: 'express', names: ['NextFunction', 'Request', 'Response'] }],
+      statements: [
         'app.use((req: Request, res: Response, next: NextFunction) => {requestContextMiddleware.use(req, res, next);});',
       ],
       comment: [
@@ -93,176 +158,349 @@ export async function modifyMainTsFile(projectPath, options) {
       ],
     },
     {
-      condition: options.winstonLogger,
-      importStatement: [],
-      line: ['initializeConsoleOverrides(appLogger);'],
-      comment: [
-        '// This must be done early, before other modules start logging',
-        '// Initialize console overrides to route all console.* calls through Winston',
+      condition: staticAssets,
+      statements: [`app.useStaticAssets('assets');`],
+      comment: ['// Register assets folder as static files directory'],
+    },
+    {
+      condition: options.paginationType === 'prisma',
+      statements: ['app.enableShutdownHooks();'],
+      comment: ['// Close the Prisma connection when the app receives a termination signal'],
+      callee: 'app.enableShutdownHooks',
+    },
+    {
+      condition: security('cors'),
+      imports: [{ from: './security/cors', names: ['getCorsConfig'] }],
+      statements: [`app.enableCors(getCorsConfig(["*"]));`],
+      comment: ['// Apply CORS config'],
+      callee: 'app.enableCors',
+    },
+    {
+      condition: security('helmet'),
+      imports: [
+        { from: 'helmet', defaultName: 'helmet' },
+        { from: './security/helmet', names: ['helmetConfig'] },
       ],
+      statements: [`if (process.env.NODE_ENV === "production") {app.use(helmet(helmetConfig));}`],
+      comment: ['// Secure the app with Helmet'],
     },
     {
-      condition: options.winstonLogger,
-      importStatement: [],
-      line: ['app.useLogger(appLogger);'],
-      comment: ['// Replace NestJS default logger with Winston-based AppLogger'],
+      condition: !!options.prefix,
+      statements: [`app.setGlobalPrefix("${options.prefix}");`],
+      comment: ['// Set global prefix for all routes'],
+      callee: 'app.setGlobalPrefix',
     },
     {
-      condition: options.winstonLogger,
-      importStatement: [
-        'import { AppLogger, LoggingInterceptor, initializeConsoleOverrides, RequestContextMiddleware } from "./modules/logger";',
+      condition: options.apiVersioning,
+      imports: [{ from: '@nestjs/common', names: ['VersioningType'] }],
+      statements: [`app.enableVersioning({type: VersioningType.URI,defaultVersion: "1"});`],
+      comment: ['// Enable API versioning'],
+      callee: 'app.enableVersioning',
+    },
+    {
+      condition: options.swaggerConfig,
+      imports: [{ from: './configs/swagger.config', names: ['swaggerConfiguration'] }],
+      statements: [`swaggerConfiguration(app);`],
+      comment: ['// initialize swagger'],
+      callee: 'swaggerConfiguration',
+    },
+    {
+      condition: options.customPipe,
+      imports: [{ from: '@nestjs/common', names: ['HttpStatus', 'ValidationPipe'] }],
+      statements: [
+        `app.useGlobalPipes(new ValidationPipe({whitelist: true, transform: true, errorHttpStatusCode: HttpStatus.UNPROCESSABLE_ENTITY}));`,
       ],
-      line: [
-        'const loggingInterceptor = app.get(LoggingInterceptor);',
-        'const requestContextMiddleware = app.get(RequestContextMiddleware);',
-        'const appLogger = app.get(AppLogger);',
+      comment: ['// initialize custom validation pipe'],
+    },
+    {
+      condition: interceptors.length > 0,
+      imports: interceptors.flatMap(interceptor => interceptor.import ?? []),
+      statements: [
+        `app.useGlobalInterceptors(${interceptors.map(({ instance }) => instance).join(', ')});`,
       ],
-      comment: ['// Get logger services'],
+      comment: ['// initialize custom interceptors'],
+      interceptors: interceptors.map(({ instance }) => instance),
     },
+    {
+      condition: options.customFilter,
+      imports: [{ from: './common/filters/exception.filter', names: ['CustomExceptionFilter'] }],
+      statements: [`app.useGlobalFilters(new CustomExceptionFilter());`],
+      comment: ['// initialize custom exception filter'],
+    },
+    ...Object.entries(options.plugins ?? {}).map(([id, answers]) =>
+      getPluginRegistration(getPlugin(id), answers),
+    ),
   ];
+}
 
-  const interceptorsConfig = [];
+/**
+ * Builds the registration of a plugin feature from the `main` section of its manifest.
+ *
+ * @param {Object} plugin The plugin (see `loadPlugins()`).
+ * @param {Object} answers The answers to the plugin prompts.
+ * @returns {Object} The registration (see `getRegistrations()`).
+ */
+function getPluginRegistration(plugin, answers) {
+  if (!plugin.main) return { condition: false };
 
-  if (options.winstonLogger) {
-    interceptorsConfig.push({
-      importStatement: [],
-      instance: 'loggingInterceptor',
-    });
-  }
+  const render = text => renderTemplate(text, answers);
+  const comment = render(plugin.main.comment ?? `Register the ${plugin.name} feature`);
 
-  if (
-    options.securityOptions.enabled &&
-    options.securityOptions.selections.includes('fake-tech-stack-headers')
-  ) {
-    interceptorsConfig.push({
-      importStatement: [
-        `import { CustomHeadersInterceptor } from './security/custom-headers.Interceptor';`,
-      ],
-      instance: 'new CustomHeadersInterceptor()',
-    });
-  }
+  return {
+    condition: true,
+    imports: (plugin.main.imports ?? []).map(({ from, names, defaultName }) => ({
+      from: render(from),
+      names: names?.map(render),
+      defaultName: defaultName && render(defaultName),
+    })),
+    statements: plugin.main.statements.map(render),
+    comment: [comment.startsWith('//') ? comment : `// ${comment}`],
+  };
+}
 
-  if (options.customInterceptor) {
-    interceptorsConfig.push({
-      importStatement: [
-        `import { ResponseTransformerInterceptor } from './common/interceptor/response-transformer.interceptor';`,
-      ],
-      instance: 'new ResponseTransformerInterceptor()',
-    });
-  }
+/**
+ * Inserts the statements of a registration that are missing from the bootstrap function.
+ *
+ * @param {string} fileContent The main.ts content.
+ * @param {Object} registration The registration (see `getRegistrations()`).
+ * @param {number} anchor The index after which the missing statements are inserted.
+ * @returns {{ fileContent: string, anchor: number }} The updated content, and the index after
+ * which the next registration goes (the end of this registration).
+ */
+function insertRegistration(fileContent, registration, anchor) {
+  const sourceFile = parseSourceFile(MAIN_FILE, fileContent);
+  const { statement, body, appName } = findAppCreation(sourceFile);
+  const indentation = getIndentation(sourceFile, statement);
 
-  if (interceptorsConfig.length) {
-    for (const interceptor of interceptorsConfig) {
-      await insertImportStatement(interceptor.importStatement, mainFilePath);
-    }
-    const interceptorsCall = interceptorsConfig.map(({ instance }) => instance).join(', ');
-    const interceptorsModification = {
-      condition: true,
-      importStatement: [],
-      line: [`app.useGlobalInterceptors(${interceptorsCall});`],
-      comment: ['// initialize custom interceptors'],
-    };
+  // The code is written for an application named `app`
+  const forApp = code => code.replace(/\bapp\b/g, appName);
 
-    const customPipeIndex = modifications.indexOf(customPipeModification);
-    if (customPipeIndex === -1) {
-      modifications.push(interceptorsModification);
-    } else {
-      modifications.splice(customPipeIndex, 0, interceptorsModification);
+  if (registration.interceptors) {
+    const existingCall = findInterceptorsCall(body, forApp('app.useGlobalInterceptors'));
+    if (existingCall) {
+      return mergeInterceptors(fileContent, sourceFile, existingCall, registration, anchor);
     }
   }
 
-  // Process each modification conditionally
-  for (const mod of modifications) {
-    if (mod.condition) {
-      if (mod.importStatement) {
-        // Insert the import statement into the main.ts file
-        await insertImportStatement(mod.importStatement, mainFilePath);
-      }
-      // Insert the global method line and the comment for the modification
-      await insertGlobalMethod(mod.line, mod.comment, mainFilePath);
+  const missingStatements = [];
+  for (const code of registration.statements.map(forApp)) {
+    const existing = body.statements.find(bodyStatement =>
+      registration.callee
+        ? getCallee(bodyStatement) === forApp(registration.callee)
+        : normalizeCode(bodyStatement.getText(sourceFile)) === normalizeCode(code),
+    );
+
+    if (existing) {
+      // Keep the next registrations after the existing ones
+      anchor = Math.max(anchor, existing.end);
+    } else {
+      missingStatements.push(code);
     }
   }
 
-  // Replace Nest application with Nest Express Application
-  await ensureNestExpressApplication(mainFilePath, options.winstonLogger);
-  // add catch to bootstrap call
-  await wrapBootstrapCallWithCatch(mainFilePath);
+  if (!missingStatements.length) return { fileContent, anchor };
+
+  // The comment describes the whole registration, so it's only added along with all its statements
+  const lines =
+    missingStatements.length === registration.statements.length
+      ? [...registration.comment, ...missingStatements]
+      : missingStatements;
+  const insertedCode = lines.map(line => `\n${indentation}${line}`).join('');
+
+  return {
+    fileContent: replaceRange(fileContent, anchor, anchor, insertedCode),
+    anchor: anchor + insertedCode.length,
+  };
 }
 
 /**
- * Inserts the given import statement at the top of the main.ts file.
+ * Adds the missing interceptor instances to an existing `app.useGlobalInterceptors()` call.
  *
- * @param {string[]} importStatement The import statement to add.
- * @param {string} mainFilePath The path to the main.ts file.
- * @throws {Error} Throws an error if the insertion fails.
+ * @param {string} fileContent The main.ts content.
+ * @param {ts.SourceFile} sourceFile The parsed main.ts content.
+ * @param {ts.ExpressionStatement} existingCall The statement calling `app.useGlobalInterceptors()`.
+ * @param {Object} registration The interceptors registration.
+ * @param {number} anchor The index after which the previous registration ends.
+ * @returns {{ fileContent: string, anchor: number }} The updated content and anchor.
  */
-async function insertImportStatement(importStatement, mainFilePath) {
-  // Use `sed` to insert the import statement at the very top of the file
-  for (const statement of importStatement) {
-    await execa('sed', ['-i', `1i${statement}`, mainFilePath]);
-  }
+function mergeInterceptors(fileContent, sourceFile, existingCall, registration, anchor) {
+  const callArguments = existingCall.expression.arguments;
+  const registered = callArguments.map(argument => normalizeCode(argument.getText(sourceFile)));
+  const missing = registration.interceptors.filter(
+    instance => !registered.includes(normalizeCode(instance)),
+  );
+
+  if (!missing.length) return { fileContent, anchor: Math.max(anchor, existingCall.end) };
+
+  const insertion = callArguments.length
+    ? callArguments[callArguments.length - 1].end
+    : callArguments.pos;
+  const insertedCode = `${callArguments.length ? ', ' : ''}${missing.join(', ')}`;
+
+  // The inserted instances shift the end of the call, which is the earliest possible anchor
+  return {
+    fileContent: replaceRange(fileContent, insertion, insertion, insertedCode),
+    anchor: Math.max(anchor, existingCall.end) + insertedCode.length,
+  };
 }
 
 /**
- * Inserts a global method line (such as filter, interceptor, etc.) and its corresponding comment
- * after the creation of the app in the main.ts file.
+ * Finds the statement calling `app.useGlobalInterceptors()` in the bootstrap function.
  *
- * @param {string[]} line The method lines to add (e.g., `app.useGlobalFilters(...)`).
- * @param {string[]} comment The comments describing the modification being made.
- * @param {string} mainFilePath The path to the main.ts file.
- * @throws {Error} Throws an error if the insertion fails.
+ * @param {ts.Block} body The bootstrap function body.
+ * @param {string} callee The called method (e.g., `app.useGlobalInterceptors`).
+ * @returns {ts.ExpressionStatement|undefined} The statement, if any.
  */
-async function insertGlobalMethod(line, comment, mainFilePath) {
-  // Define the pattern to locate the app creation line in main.ts
-  const appCreationPattern = 'const app = await NestFactory.create';
+function findInterceptorsCall(body, callee) {
+  return body.statements.find(statement => getCallee(statement) === callee);
+}
 
-  // Insert the global method lines after the app creation line
-  for (const methodLine of line) {
-    await execa('sed', ['-i', `/^.*${appCreationPattern}.*$/a\\  ${methodLine}`, mainFilePath]);
+/**
+ * Gets the function called by an expression statement, e.g. `app.setGlobalPrefix` for
+ * `app.setGlobalPrefix('api');`.
+ *
+ * @param {ts.Statement} statement The statement.
+ * @returns {string|undefined} The called function, if the statement is a call.
+ */
+function getCallee(statement) {
+  if (!ts.isExpressionStatement(statement) || !ts.isCallExpression(statement.expression)) {
+    return undefined;
   }
+  return normalizeCode(statement.expression.expression.getText());
+}
+
+/**
+ * Finds the app creation statement (`const app = await NestFactory.create(...)`) of main.ts.
+ *
+ * @param {ts.SourceFile} sourceFile The parsed main.ts content.
+ * @returns {{ statement: ts.VariableStatement, call: ts.CallExpression, body: ts.Block, appName: string }}
+ * The app creation statement, its `NestFactory.create()` call, the body of the function
+ * containing it and the name of the app variable.
+ * @throws {Error} If main.ts doesn't create the app this way.
+ */
+function findAppCreation(sourceFile) {
+  let appCreation;
+
+  const visit = node => {
+    if (appCreation) return;
+
+    if (
+      ts.isVariableDeclaration(node) &&
+      ts.isIdentifier(node.name) &&
+      node.initializer &&
+      ts.isAwaitExpression(node.initializer) &&
+      ts.isCallExpression(node.initializer.expression) &&
+      node.initializer.expression.expression.getText(sourceFile) === 'NestFactory.create'
+    ) {
+      const statement = node.parent.parent;
 
-  // Insert the comment lines after the app creation line (above the global method lines)
-  for (const commentLine of comment) {
-    await execa('sed', ['-i', `/^.*${appCreationPattern}.*$/a\\  ${commentLine}`, mainFilePath]);
+      if (ts.isVariableStatement(statement) && ts.isBlock(statement.parent)) {
+        appCreation = {
+          statement,
+          call: node.initializer.expression,
+          body: statement.parent,
+          appName: node.name.text,
+        };
+        return;
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  if (!appCreation) {
+    throw new Error(
+      `Couldn't recognize ${MAIN_FILE}: expected a function creating the app with "const app = await NestFactory.create(AppModule)". Register the selected features in ${MAIN_FILE} manually.`,
+    );
   }
+
+  return appCreation;
 }
 
 /**
  * Ensures the bootstrap function call handles rejections.
  *
- * @param {string} mainFilePath The path to the main.ts file.
- * @returns {Promise<void>} Resolves when the replacement is complete.
+ * @param {string} fileContent The main.ts content.
+ * @returns {string} The updated content.
  */
-async function wrapBootstrapCallWithCatch(mainFilePath) {
-  const wrappedBootstrapCall = 'bootstrap().catch(err => console.log(err));';
-  await execa('sed', ['-i', `s/bootstrap();/${wrappedBootstrapCall}/`, mainFilePath]);
+function wrapBootstrapCallWithCatch(fileContent) {
+  const sourceFile = parseSourceFile(MAIN_FILE, fileContent);
+  const bootstrapFunction = findAppCreation(sourceFile).body.parent;
+  if (!ts.isFunctionDeclaration(bootstrapFunction) || !bootstrapFunction.name) return fileContent;
+
+  // Find the top-level `bootstrap();` (or `void bootstrap();`) call
+  const bootstrapName = bootstrapFunction.name.text;
+  const bootstrapCall = sourceFile.statements.find(statement => {
+    if (!ts.isExpressionStatement(statement)) return false;
+
+    const expression = ts.isVoidExpression(statement.expression)
+      ? statement.expression.expression
+      : statement.expression;
+    return (
+      ts.isCallExpression(expression) &&
+      ts.isIdentifier(expression.expression) &&
+      expression.expression.text === bootstrapName
+    );
+  });
+  if (!bootstrapCall) return fileContent;
+
+  return replaceRange(
+    fileContent,
+    bootstrapCall.getStart(sourceFile),
+    bootstrapCall.end,
+    `${bootstrapName}().catch(err => console.log(err));`,
+  );
 }
 
 /**
  * Ensures the NestFactory app creation call uses the NestExpressApplication type and required import.
  *
- * @param {string} mainFilePath The path to the main.ts file.
+ * @param {string} fileContent The main.ts content.
+ * @param {boolean} staticAssets Whether the app serves static assets, which requires the Express application.
  * @param {boolean} loggerStatus Whether the user required the winston logger or not
- * @returns {Promise<void>} Resolves when the import and app creation call are updated.
+ * @returns {string} The updated content.
  */
-async function ensureNestExpressApplication(mainFilePath, loggerStatus) {
-  const requiredImport = [`import { NestExpressApplication } from '@nestjs/platform-express';`];
-  const defaultAppCreation = 'const app = await NestFactory.create(AppModule);';
-  const typedAppCreation = loggerStatus
-    ? 'const app = await NestFactory.create<NestExpressApplication>(AppModule, {bufferLogs: true});'
-    : 'const app = await NestFactory.create<NestExpressApplication>(AppModule);';
-
-  let fileContent = await fs.readFile(mainFilePath, 'utf-8');
-
-  if (!fileContent.includes(requiredImport)) {
-    await insertImportStatement(requiredImport, mainFilePath);
-    fileContent = await fs.readFile(mainFilePath, 'utf-8');
+function ensureNestExpressApplication(fileContent, staticAssets, loggerStatus) {
+  let { call } = findAppCreation(parseSourceFile(MAIN_FILE, fileContent));
+
+  if (staticAssets && !call.typeArguments) {
+    fileContent = replaceRange(
+      fileContent,
+      call.expression.end,
+      call.expression.end,
+      '<NestExpressApplication>',
+    );
+    fileContent = addImports(MAIN_FILE, fileContent, [
+      { from: '@nestjs/platform-express', names: ['NestExpressApplication'] },
+    ]);
   }
 
-  if (fileContent.includes(defaultAppCreation)) {
-    const updatedContent = fileContent.replace(defaultAppCreation, typedAppCreation);
-    if (updatedContent !== fileContent) {
-      await fs.writeFile(mainFilePath, updatedContent);
-    }
+  // The logger buffers the logs emitted before it replaces the default logger
+  if (!loggerStatus) return fileContent;
+
+  const sourceFile = parseSourceFile(MAIN_FILE, fileContent);
+  ({ call } = findAppCreation(sourceFile));
+  const [appModule, applicationOptions] = call.arguments;
+
+  if (!applicationOptions) {
+    return replaceRange(fileContent, appModule.end, appModule.end, ', {bufferLogs: true}');
   }
+
+  // Options passed as a variable are left to the user
+  if (!ts.isObjectLiteralExpression(applicationOptions)) return fileContent;
+
+  const hasBufferLogs = applicationOptions.properties.some(
+    property => property.name?.getText(sourceFile) === 'bufferLogs',
+  );
+  if (hasBufferLogs) return fileContent;
+
+  const [firstProperty] = applicationOptions.properties;
+  if (!firstProperty) {
+    const insertion = applicationOptions.getStart(sourceFile) + 1;
+    return replaceRange(fileContent, insertion, insertion, 'bufferLogs: true');
+  }
+
+  const insertion = firstProperty.getStart(sourceFile);
+  return replaceRange(fileContent, insertion, insertion, 'bufferLogs: true, ');
 }
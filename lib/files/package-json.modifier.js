@@ -1,6 +1,7 @@
 import { execa } from 'execa';
-import fs from 'fs/promises';
 import path from 'path';
+import { isDryRun } from '../functions/dry-run.js';
+import { readTextFile, writeTextFile } from '../shell/shell.commands.js';
 
 /**
  * Updates the Jest configuration in the project's package.json file.
@@ -13,7 +14,7 @@ export async function updateJestConfig(projectPath) {
   const packageJsonPath = path.join(projectPath, 'package.json').replaceAll('\\', ''); // Ensure correct file path formatting across OS
 
   // Read the existing package.json file
-  const packageJsonContent = await fs.readFile(packageJsonPath, 'utf-8');
+  const packageJsonContent = await readTextFile(packageJsonPath);
   const packageJson = JSON.parse(packageJsonContent);
 
   // Define the new Jest configuration
@@ -45,8 +46,31 @@ export async function updateJestConfig(projectPath) {
   }
 
   // Write the updated package.json back to the file
-  await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2), 'utf-8');
+  await writeTextFile(packageJsonPath, `${JSON.stringify(packageJson, null, 2)}\n`);
 
   // Optionally, format the file using a package like Prettier
+  if (isDryRun()) return;
   await execa('npx', ['prettier', '--write', packageJsonPath]);
 }
+
+/**
+ * Adds scripts to the project's package.json file. Scripts that already exist are kept as they are.
+ *
+ * @param {string} projectPath The path to the project's root directory.
+ * @param {Object<string, string>} scripts The scripts to add, keyed by name.
+ * @returns {Promise<string[]>} The names of the scripts that were added.
+ */
+export async function addPackageScripts(projectPath, scripts) {
+  const packageJsonPath = path.join(projectPath, 'package.json').replaceAll('\\', ''); // Ensure correct file path formatting across OS
+
+  const packageJson = JSON.parse(await readTextFile(packageJsonPath));
+  packageJson.scripts ??= {};
+
+  const added = Object.keys(scripts).filter(name => !(name in packageJson.scripts));
+  if (!added.length) return added;
+
+  for (const name of added) packageJson.scripts[name] = scripts[name];
+
+  await writeTextFile(packageJsonPath, `${JSON.stringify(packageJson, null, 2)}\n`);
+  return added;
+}
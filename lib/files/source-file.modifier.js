@@ -0,0 +1,157 @@
+import ts from 'typescript';
+
+/**
+ * Parses the content of a TypeScript file.
+ *
+ * The modifications built on top of it locate the code to change through the syntax tree,
+ * then splice the new code into the original text, so the formatting and comments of the
+ * untouched code are preserved.
+ *
+ * @param {string} fileName The file name, relative to the project root (used in error messages).
+ * @param {string} content The file content.
+ * @returns {ts.SourceFile} The parsed file.
+ */
+export function parseSourceFile(fileName, content) {
+  return ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+}
+
+/**
+ * Replaces a range of a file content.
+ *
+ * @param {string} content The file content.
+ * @param {number} start The start index of the range.
+ * @param {number} end The end index of the range.
+ * @param {string} text The replacement text.
+ * @returns {string} The updated content.
+ */
+export function replaceRange(content, start, end, text) {
+  return `${content.slice(0, start)}${text}${content.slice(end)}`;
+}
+
+/**
+ * Gets the indentation of the line a node starts on.
+ *
+ * @param {ts.SourceFile} sourceFile The parsed file.
+ * @param {ts.Node} node The node.
+ * @returns {string} The whitespace preceding the node on its line.
+ */
+export function getIndentation(sourceFile, node) {
+  const start = node.getStart(sourceFile);
+  const lineStart = sourceFile.text.lastIndexOf('\n', start - 1) + 1;
+  return /^[ \t]*/.exec(sourceFile.text.slice(lineStart, start))[0];
+}
+
+/**
+ * Removes formatting differences (whitespace, quotes, semicolons and trailing commas)
+ * so pieces of code can be compared as text.
+ *
+ * @param {string} code The code.
+ * @returns {string} The normalized code.
+ */
+export function normalizeCode(code) {
+  return code
+    .replace(/\s+/g, '')
+    .replaceAll('"', "'")
+    .replace(/,([)}\]])/g, '$1')
+    .replace(/;+$/, '');
+}
+
+/**
+ * Adds import declarations to a file, merging the named imports into the existing declaration
+ * of the same module (so `@nestjs/common` is never imported twice). New declarations are placed
+ * after the last existing import. Names that are already imported are skipped.
+ *
+ * @param {string} fileName The file name, relative to the project root.
+ * @param {string} content The file content.
+ * @param {Object[]} imports The imports to add.
+ * @param {string} imports[].from The module specifier (e.g., `@nestjs/common`).
+ * @param {string[]} [imports[].names=[]] The named imports.
+ * @param {string} [imports[].defaultName] The default import, if any.
+ * @returns {string} The updated content.
+ */
+export function addImports(fileName, content, imports) {
+  for (const { from, names = [], defaultName } of imports) {
+    const sourceFile = parseSourceFile(fileName, content);
+    const declarations = sourceFile.statements.filter(
+      statement =>
+        ts.isImportDeclaration(statement) &&
+        statement.moduleSpecifier.text === from &&
+        !statement.importClause?.isTypeOnly,
+    );
+
+    const importedNames = declarations.flatMap(declaration => getImportedNames(declaration));
+    let missingNames = names.filter(name => !importedNames.includes(name));
+    const missingDefault = defaultName && !importedNames.includes(defaultName) ? defaultName : '';
+
+    // Merge the named imports into an existing declaration of the module
+    const namedDeclaration = declarations.find(declaration => {
+      const bindings = declaration.importClause?.namedBindings;
+      return declaration.importClause && (!bindings || ts.isNamedImports(bindings));
+    });
+
+    if (missingNames.length && namedDeclaration) {
+      const { importClause } = namedDeclaration;
+      const bindings = importClause.namedBindings;
+
+      if (bindings) {
+        const elements = bindings.elements.map(element => element.getText(sourceFile));
+        const namedImports = `{ ${[...elements, ...missingNames].join(', ')} }`;
+        content = replaceRange(content, bindings.getStart(sourceFile), bindings.end, namedImports);
+      } else {
+        // Default import only, e.g. `import helmet from 'helmet'`
+        const namedImports = `, { ${missingNames.join(', ')} }`;
+        content = replaceRange(content, importClause.name.end, importClause.name.end, namedImports);
+      }
+      missingNames = [];
+    }
+
+    if (missingNames.length || missingDefault) {
+      content = insertImportDeclaration(fileName, content, from, missingDefault, missingNames);
+    }
+  }
+
+  return content;
+}
+
+/**
+ * Lists the local names bound by an import declaration.
+ *
+ * @param {ts.ImportDeclaration} declaration The import declaration.
+ * @returns {string[]} The default, namespace and named imports.
+ */
+function getImportedNames(declaration) {
+  const { importClause } = declaration;
+  if (!importClause) return [];
+
+  const names = importClause.name ? [importClause.name.text] : [];
+  const bindings = importClause.namedBindings;
+
+  if (bindings && ts.isNamespaceImport(bindings)) return [...names, bindings.name.text];
+  if (bindings) return [...names, ...bindings.elements.map(element => element.name.text)];
+  return names;
+}
+
+/**
+ * Inserts a new import declaration after the last import of a file, using the file's quotes.
+ *
+ * @param {string} fileName The file name, relative to the project root.
+ * @param {string} content The file content.
+ * @param {string} from The module specifier.
+ * @param {string} defaultName The default import, or an empty string.
+ * @param {string[]} names The named imports.
+ * @returns {string} The updated content.
+ */
+function insertImportDeclaration(fileName, content, from, defaultName, names) {
+  const sourceFile = parseSourceFile(fileName, content);
+  const importDeclarations = sourceFile.statements.filter(ts.isImportDeclaration);
+  const lastImport = importDeclarations[importDeclarations.length - 1];
+
+  const quote = lastImport?.moduleSpecifier.getText(sourceFile)[0] ?? "'";
+  const clause = [defaultName, names.length ? `{ ${names.join(', ')} }` : '']
+    .filter(Boolean)
+    .join(', ');
+  const declaration = `import ${clause} from ${quote}${from}${quote};`;
+
+  if (!lastImport) return `${declaration}\n${content}`;
+  return replaceRange(content, lastImport.end, lastImport.end, `\n${declaration}`);
+}
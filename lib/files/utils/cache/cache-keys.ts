@@ -0,0 +1,34 @@
+import { Request } from 'express';
+
+// Metadata key of the key factory set by `@Cacheable()`
+export const CACHE_KEY_FACTORY = 'cache:key-factory';
+
+/**
+ * Builds the cache key of a request.
+ */
+export type CacheKeyFactory = (request: Request) => string;
+
+/**
+ * Keys the response by the request URL, query string included (the default key).
+ */
+export const byUrl: CacheKeyFactory = request => request.originalUrl;
+
+/**
+ * Keys the response by the request URL for each user, so users never get each other's
+ * responses. Reads the `userId` set on the request by the authentication layer.
+ */
+export const byUser: CacheKeyFactory = request => {
+  const { userId } = request as Request & { userId?: string };
+  return `user:${userId ?? 'anonymous'}:${request.originalUrl}`;
+};
+
+/**
+ * Keys the response by the route and some of its path parameters, ignoring the query string.
+ *
+ * @example
+ * @Cacheable({ key: byParams('id') }) // `GET /products/42?fields=name` is cached as `/products/:id:42`
+ */
+export function byParams(...names: string[]): CacheKeyFactory {
+  return request =>
+    [request.baseUrl + request.route.path, ...names.map(name => request.params[name])].join(':');
+}
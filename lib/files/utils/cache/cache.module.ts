@@ -0,0 +1,35 @@
+import { createKeyv } from '@keyv/redis';
+import { CacheModule } from '@nestjs/cache-manager';
+import { Global, Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { CacheableMemory } from 'cacheable';
+import { Keyv } from 'keyv';
+import { HttpCacheInterceptor } from './http-cache.interceptor';
+
+// Default time to live of the cached entries, in milliseconds
+const DEFAULT_TTL = 60_000;
+
+/**
+ * Caches data in the Redis server of `REDIS_URL`, or in memory when Redis isn't configured.
+ * Inject `CACHE_MANAGER` to use the cache directly, or cache responses with `@Cacheable()`.
+ */
+@Global()
+@Module({
+  imports: [
+    CacheModule.registerAsync({
+      isGlobal: true,
+      inject: [ConfigService],
+      useFactory: (configService: ConfigService) => {
+        const redisUrl = configService.get<string>('REDIS_URL');
+        const store = redisUrl
+          ? createKeyv(redisUrl)
+          : new Keyv({ store: new CacheableMemory({ lruSize: 5000 }) });
+
+        return { ttl: Number(configService.get('CACHE_TTL') ?? DEFAULT_TTL), stores: [store] };
+      },
+    }),
+  ],
+  providers: [HttpCacheInterceptor],
+  exports: [HttpCacheInterceptor],
+})
+export class AppCacheModule {}
@@ -0,0 +1,25 @@
+import { CacheTTL } from '@nestjs/cache-manager';
+import { applyDecorators, SetMetadata, UseInterceptors } from '@nestjs/common';
+import { CACHE_KEY_FACTORY, CacheKeyFactory } from './cache-keys';
+import { HttpCacheInterceptor } from './http-cache.interceptor';
+
+export interface CacheableOptions {
+  ttl?: number; // Time to live in milliseconds (defaults to CACHE_TTL)
+  key?: CacheKeyFactory; // Builds the cache key from the request (defaults to `byUrl`)
+}
+
+/**
+ * Caches the GET responses of a route, or of every route of a controller.
+ *
+ * @example
+ * @Get(':id')
+ * @Cacheable({ ttl: 30_000, key: byParams('id') })
+ * findOne(@Param('id') id: string) { ... }
+ */
+export function Cacheable({ ttl, key }: CacheableOptions = {}) {
+  return applyDecorators(
+    UseInterceptors(HttpCacheInterceptor),
+    ...(ttl !== undefined ? [CacheTTL(ttl)] : []),
+    ...(key ? [SetMetadata(CACHE_KEY_FACTORY, key)] : []),
+  );
+}
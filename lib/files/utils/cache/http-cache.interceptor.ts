@@ -0,0 +1,36 @@
+import { CacheInterceptor } from '@nestjs/cache-manager';
+import { CallHandler, ExecutionContext, Injectable } from '@nestjs/common';
+import { Request } from 'express';
+import { Observable } from 'rxjs';
+import { CACHE_KEY_FACTORY, CacheKeyFactory } from './cache-keys';
+
+// Marks the requests already handled, when both the global interceptor and `@Cacheable()` apply
+const HANDLED = Symbol('cache-handled');
+
+/**
+ * Caches GET responses like `CacheInterceptor`, under the key built by the key factory set
+ * with `@Cacheable()` (the request URL by default).
+ */
+@Injectable()
+export class HttpCacheInterceptor extends CacheInterceptor {
+  async intercept(context: ExecutionContext, next: CallHandler): Promise<Observable<any>> {
+    const request = context.switchToHttp().getRequest<Request & { [HANDLED]?: boolean }>();
+    if (request[HANDLED]) return next.handle();
+
+    request[HANDLED] = true;
+    return super.intercept(context, next);
+  }
+
+  protected async trackBy(context: ExecutionContext): Promise<string | null | undefined> {
+    // Only GET requests are cached, unless `@CacheKey()` sets a fixed key
+    const defaultKey = await super.trackBy(context);
+    if (!defaultKey) return undefined;
+
+    const keyFactory = this.reflector.getAllAndOverride<CacheKeyFactory | undefined>(
+      CACHE_KEY_FACTORY,
+      [context.getHandler(), context.getClass()],
+    );
+
+    return keyFactory ? keyFactory(context.switchToHttp().getRequest<Request>()) : defaultKey;
+  }
+}
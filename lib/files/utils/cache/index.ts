@@ -0,0 +1,6 @@
+export { AppCacheModule } from './cache.module';
+export { byParams, byUrl, byUser } from './cache-keys';
+export type { CacheKeyFactory } from './cache-keys';
+export { Cacheable } from './cacheable.decorator';
+export type { CacheableOptions } from './cacheable.decorator';
+export { HttpCacheInterceptor } from './http-cache.interceptor';
@@ -43,6 +43,26 @@ export class PaginationDto {
   }
 }
 
+export class CursorPaginationDto {
+  @ApiPropertyOptional({ description: 'cursor of the item the page starts after' })
+  @IsOptional()
+  @IsString()
+  @Expose()
+  after?: string;
+
+  @ApiPropertyOptional({ description: 'cursor of the item the page ends before' })
+  @IsOptional()
+  @IsString()
+  @Expose()
+  before?: string;
+
+  @ApiPropertyOptional({ type: 'integer', example: 10 })
+  @Transform(({ value }) => (value ? parseInt(value) : 10))
+  @IsNumber()
+  @Expose()
+  limit: number = 10;
+}
+
 //? Filter Implementation Example
 /**
 	 export class FilterDto {
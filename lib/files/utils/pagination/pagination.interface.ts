@@ -33,3 +33,32 @@ export interface PaginatedResult<T> {
   meta: PaginationMeta; // Metadata about pagination
   links?: PaginationLinks; // Links for navigation
 }
+
+/**
+ * Ordering of a cursor-paginated query. The primary key breaks ties between items sharing
+ * the same sort value, so every item has a unique position.
+ */
+export interface CursorPaginationOptions {
+  sortKey?: string; // Property to sort by (defaults to the primary key)
+  order?: 'ASC' | 'DESC'; // Sort direction (defaults to ASC)
+}
+
+/**
+ * Metadata for cursor pagination details.
+ */
+export interface CursorPaginationMeta {
+  itemCount: number; // Number of items on the current page
+  itemsPerPage: number; // Number of items per page
+  nextCursor: string | null; // Cursor of the next page (`after`), null on the last page
+  prevCursor: string | null; // Cursor of the previous page (`before`), null on the first page
+}
+
+/**
+ * Result of a cursor-paginated query.
+ * @template T - The type of the items being paginated
+ */
+export interface CursorPaginatedResult<T> {
+  items: T[]; // The list of items for the current page
+  meta: CursorPaginationMeta; // Metadata about pagination
+  links?: PaginationLinks; // Links for navigation
+}
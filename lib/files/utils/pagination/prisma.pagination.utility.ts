@@ -0,0 +1,139 @@
+import { PaginationDto } from './pagination.dto';
+import { PaginatedResult, PaginationLinks } from './pagination.interface';
+
+/**
+ * Query arguments of a Prisma model, passed to `findMany` (and `where` to `count`).
+ */
+export interface PrismaQueryArgs {
+  where?: Record<string, any>;
+  orderBy?: Record<string, any> | Record<string, any>[];
+  select?: Record<string, any>;
+  include?: Record<string, any>;
+}
+
+/**
+ * The methods of a Prisma model delegate (e.g., `prisma.user`) used for pagination.
+ */
+export interface PrismaDelegate<T> {
+  findMany(args?: any): Promise<T[]>;
+  count(args?: any): Promise<number>;
+}
+
+/**
+ * Utility function to paginate data using a Prisma model delegate.
+ *
+ * @template T - The type of the records being paginated.
+ * @param {PaginationDto} paginationDto - DTO containing pagination parameters (page, limit, and skip).
+ * @param {PrismaDelegate<T>} delegate - The model delegate (e.g., `this.prisma.user`).
+ * @param {PrismaQueryArgs} [args={}] - Optional filter, ordering and selection of the query.
+ * @param {string} [link] - The endpoint to which the data retrieved from.
+ * @returns {Promise<PaginatedResult<T>>} A promise that resolves to a paginated result object.
+ */
+export async function prismaPaginate<T>(
+  paginationDto: PaginationDto,
+  delegate: PrismaDelegate<T>,
+  args: PrismaQueryArgs = {},
+  link?: string,
+): Promise<PaginatedResult<T>> {
+  // Count the matching records and fetch the current page
+  const [totalItems, items] = await Promise.all([
+    delegate.count({ where: args.where }),
+    delegate.findMany({
+      ...args,
+      skip: paginationDto.skip, // Number of items to skip
+      take: paginationDto.limit, // Number of items to take
+    }),
+  ]);
+
+  // Return paginated result with metadata and links
+  return {
+    items,
+    meta: {
+      totalItems,
+      itemCount: items.length,
+      itemsPerPage: Number(paginationDto.limit),
+      totalPages: Math.ceil(totalItems / paginationDto.limit),
+      currentPage: Number(paginationDto.page),
+      firstItem: paginationDto.skip + 1,
+    },
+    links: getPaginationLinks(paginationDto, totalItems, link),
+  };
+}
+
+/**
+ * Generate pagination navigation links.
+ *
+ * @param {PaginationDto} paginationDto - DTO containing pagination parameters (page, limit, etc.).
+ * @param {number} totalItems - Total number of items across all pages.
+ * @param {string} [link] - The endpoint to which the data retrieved from.
+ * @returns {PaginationLinks} An object containing navigation links.
+ */
+function getPaginationLinks(
+  paginationDto: PaginationDto,
+  totalItems: number,
+  link?: string,
+): PaginationLinks | undefined {
+  if (!link) return undefined;
+
+  const totalPages = Math.ceil(totalItems / paginationDto.limit);
+  const currentPage = paginationDto.page;
+
+  // Helper function to build URL for a specific page
+  const buildUrl = (page: number): string => {
+    try {
+      // Check if link is a full URL (with protocol) or relative path
+      let url: URL;
+      if (link!.startsWith('http://') || link!.startsWith('https://')) {
+        // Full URL
+        url = new URL(link!);
+      } else {
+        // Relative path - use a dummy base URL to parse it
+        url = new URL(link!, 'http://dummy.com');
+      }
+
+      // Update pagination parameters
+      url.searchParams.set('page', String(page));
+      url.searchParams.set('limit', String(paginationDto.limit));
+
+      // If it was a relative path, return only the pathname and search
+      if (!link!.startsWith('http://') && !link!.startsWith('https://')) {
+        return url.pathname + url.search;
+      }
+
+      // Return full URL
+      return url.toString();
+    } catch {
+      // Fallback to simple string manipulation if URL parsing fails
+      const hasQueryParams = link!.includes('?');
+      const separator = hasQueryParams ? '&' : '?';
+      return `${link}${separator}page=${page}&items_per_page=${paginationDto.limit}`;
+    }
+  };
+
+  return [
+    {
+      // First page link - always include, null if on first page or only one page
+      label: 'First',
+      url: currentPage > 1 && totalPages > 1 ? buildUrl(1) : null,
+      page: currentPage > 1 && totalPages > 1 ? 1 : null,
+    },
+    {
+      // Previous page link - always include, null if on first page
+      label: 'Previous',
+      url: currentPage > 1 ? buildUrl(currentPage - 1) : null,
+      page: currentPage > 1 ? currentPage - 1 : null,
+    },
+    {
+      // Next page link - always include, null if on last page
+      label: 'Next',
+      url: currentPage < totalPages ? buildUrl(currentPage + 1) : null,
+      page: currentPage < totalPages ? currentPage + 1 : null,
+    },
+    {
+      // Last page link - always include, null if on last page or only one page
+      label: 'Last',
+      url: currentPage < totalPages && totalPages > 1 ? buildUrl(totalPages) : null,
+      page: currentPage < totalPages && totalPages > 1 ? totalPages : null,
+    },
+  ];
+}
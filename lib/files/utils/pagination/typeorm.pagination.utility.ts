@@ -1,6 +1,13 @@
-import { ObjectLiteral, Repository, SelectQueryBuilder } from 'typeorm';
-import { PaginationDto } from './pagination.dto';
-import { PaginatedResult, PaginationLinks } from './pagination.interface';
+import { BadRequestException } from '@nestjs/common';
+import { Brackets, ObjectLiteral, Repository, SelectQueryBuilder } from 'typeorm';
+import { CursorPaginationDto, PaginationDto } from './pagination.dto';
+import {
+  CursorPaginatedResult,
+  CursorPaginationMeta,
+  CursorPaginationOptions,
+  PaginatedResult,
+  PaginationLinks,
+} from './pagination.interface';
 
 /**
  * Utility function to paginate data using TypeORM's repository or query builder.
@@ -60,6 +67,88 @@ export async function typeormPaginate<T extends ObjectLiteral>(
   };
 }
 
+/**
+ * Utility function to paginate data with cursors (keyset pagination) using TypeORM's repository
+ * or query builder. Pages are read from the position of a cursor instead of an offset, so they stay
+ * fast and stable on large tables with frequent writes. The sort key and the primary key must be
+ * selected by the query.
+ *
+ * @template T - The type of the entities being paginated.
+ * @param {CursorPaginationDto} paginationDto - DTO containing cursor pagination parameters (after or before, and limit).
+ * @param {Repository<T>} repository - The repository for the entity.
+ * @param {SelectQueryBuilder<T>} [queryBuilder] - Optional query builder for custom queries. Its ordering is replaced.
+ * @param {string} [link] - The endpoint to which the data retrieved from.
+ * @param {CursorPaginationOptions} [options={}] - The sort key and direction.
+ * @returns {Promise<CursorPaginatedResult<T>>} A promise that resolves to a cursor-paginated result object.
+ * @throws {BadRequestException} If both cursors are given, or a cursor is malformed.
+ */
+export async function typeormCursorPaginate<T extends ObjectLiteral>(
+  paginationDto: CursorPaginationDto,
+  repository: Repository<T>,
+  queryBuilder?: SelectQueryBuilder<T>,
+  link?: string,
+  options: CursorPaginationOptions = {},
+): Promise<CursorPaginatedResult<T>> {
+  const { after, before, limit } = paginationDto;
+  if (after && before) throw new BadRequestException('Use either the after or the before cursor');
+
+  const idKey = repository.metadata.primaryColumns[0]?.propertyName ?? 'id';
+  const { sortKey = idKey, order = 'ASC' } = options;
+  const query = queryBuilder ?? repository.createQueryBuilder('entity');
+  const { alias } = query;
+
+  // Pages before a cursor are read in reverse order, then put back in order
+  const backward = !!before;
+  const direction = (order === 'ASC') !== backward ? 'ASC' : 'DESC';
+  const operator = direction === 'ASC' ? '>' : '<';
+
+  // Keep the items past the cursor position, the primary key breaking ties on the sort key
+  const cursor = after ?? before;
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor);
+    query.andWhere(
+      new Brackets(where =>
+        where
+          .where(`${alias}.${sortKey} ${operator} :cursorValue`, { cursorValue: value })
+          .orWhere(
+            `${alias}.${sortKey} = :cursorValue AND ${alias}.${idKey} ${operator} :cursorId`,
+            {
+              cursorId: id,
+            },
+          ),
+      ),
+    );
+  }
+
+  query.orderBy(`${alias}.${sortKey}`, direction);
+  if (sortKey !== idKey) query.addOrderBy(`${alias}.${idKey}`, direction);
+
+  // Fetch one more item than requested to know whether another page follows
+  const rows = await query.take(limit + 1).getMany();
+  const toCursor = (item: T) => encodeCursor(item[sortKey], item[idKey]);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backward) items.reverse();
+
+  // A page read backward always has a next page, and a page read after a cursor a previous one
+  const first = items[0];
+  const last = items[items.length - 1];
+  const meta: CursorPaginationMeta = {
+    itemCount: items.length,
+    itemsPerPage: Number(limit),
+    nextCursor: last && (backward || hasMore) ? toCursor(last) : null,
+    prevCursor: first && (backward ? hasMore : !!after) ? toCursor(first) : null,
+  };
+
+  // Return paginated result with metadata and links
+  return {
+    items,
+    meta,
+    links: getCursorPaginationLinks(paginationDto, meta, link),
+  };
+}
+
 /**
  * Generate pagination navigation links.
  *
@@ -137,3 +226,85 @@ function getPaginationLinks(
     },
   ];
 }
+
+/**
+ * Generate cursor pagination navigation links.
+ *
+ * @param {CursorPaginationDto} paginationDto - DTO containing cursor pagination parameters (limit, etc.).
+ * @param {CursorPaginationMeta} meta - The cursors of the adjacent pages.
+ * @param {string} [link] - The endpoint to which the data retrieved from.
+ * @returns {PaginationLinks} An object containing navigation links. Cursor pages have no page number.
+ */
+function getCursorPaginationLinks(
+  paginationDto: CursorPaginationDto,
+  meta: CursorPaginationMeta,
+  link?: string,
+): PaginationLinks | undefined {
+  if (!link) return undefined;
+
+  // Helper function to build URL for a cursor, or for the first page without one
+  const buildUrl = (cursor: { after?: string; before?: string } = {}): string => {
+    // Relative paths are parsed against a dummy base URL
+    const isAbsolute = link!.startsWith('http://') || link!.startsWith('https://');
+    const url = isAbsolute ? new URL(link!) : new URL(link!, 'http://dummy.com');
+
+    // Update pagination parameters
+    url.searchParams.delete('after');
+    url.searchParams.delete('before');
+    for (const [name, value] of Object.entries(cursor)) url.searchParams.set(name, value);
+    url.searchParams.set('limit', String(paginationDto.limit));
+
+    return isAbsolute ? url.toString() : url.pathname + url.search;
+  };
+
+  return [
+    {
+      // First page link - always include, null if on first page
+      label: 'First',
+      url: meta.prevCursor ? buildUrl() : null,
+      page: null,
+    },
+    {
+      // Previous page link - always include, null if on first page
+      label: 'Previous',
+      url: meta.prevCursor ? buildUrl({ before: meta.prevCursor }) : null,
+      page: null,
+    },
+    {
+      // Next page link - always include, null if on last page
+      label: 'Next',
+      url: meta.nextCursor ? buildUrl({ after: meta.nextCursor }) : null,
+      page: null,
+    },
+  ];
+}
+
+/**
+ * Encode the position of an item into an opaque cursor.
+ *
+ * @param {any} value - The sort value of the item.
+ * @param {any} id - The primary key of the item.
+ * @returns {string} The base64url-encoded cursor.
+ */
+function encodeCursor(value: any, id: any): string {
+  const isDate = value instanceof Date;
+  const position = [isDate ? value.toISOString() : value, id, isDate];
+
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor created by `encodeCursor`.
+ *
+ * @param {string} cursor - The cursor received from the client.
+ * @returns {{ value: any, id: any }} The sort value and the primary key of the item.
+ * @throws {BadRequestException} If the cursor is malformed.
+ */
+function decodeCursor(cursor: string): { value: any; id: any } {
+  try {
+    const [value, id, isDate] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return { value: isDate ? new Date(value) : value, id };
+  } catch {
+    throw new BadRequestException('Invalid pagination cursor');
+  }
+}
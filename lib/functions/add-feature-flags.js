@@ -0,0 +1,23 @@
+import { parseArgs } from 'util';
+
+// `parseArgs` definitions of every flag accepted by the `--add-feature` command.
+const ADD_FEATURE_FLAGS = {
+  'dry-run': { type: 'boolean' },
+  plugin: { type: 'string', multiple: true },
+};
+
+/**
+ * Parses the command-line flags of the `--add-feature` command.
+ *
+ * @param {string[]} args The raw command-line arguments following the `--add-feature` command.
+ * @returns {{ dryRun: boolean, pluginPaths: string[] }} The parsed flags.
+ * @throws {Error} If a flag is unknown or has an invalid value.
+ */
+export function parseAddFeatureFlags(args) {
+  const { values } = parseArgs({ args, options: ADD_FEATURE_FLAGS, strict: true });
+
+  return {
+    dryRun: !!values['dry-run'],
+    pluginPaths: values.plugin ?? [],
+  };
+}
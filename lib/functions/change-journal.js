@@ -0,0 +1,310 @@
+import { execa } from 'execa';
+import { cp, mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+
+// Directory holding the journals, relative to the project root.
+export const JOURNAL_DIRECTORY = '.nestcraft';
+
+// Journal of the current run, moved to `LAST_RUN_JOURNAL` once the run succeeds.
+const PENDING_JOURNAL = 'pending';
+// Journal of the last successful run, used by the `rollback` command.
+const LAST_RUN_JOURNAL = 'last-run';
+
+// Lockfiles restored along with package.json when dependencies change.
+const DEPENDENCY_FILES = ['package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Journal state of the current run (`null` when no journal is recorded).
+let state = null;
+
+/**
+ * Starts recording a journal of every change made to a project, so it can be restored to its
+ * prior state. Files are backed up under `.nestcraft/pending` before their first change.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {string} packageManager The package manager of the project, used to reinstall the
+ * dependencies on rollback.
+ * @returns {Promise<void>}
+ */
+export async function startJournal(projectPath, packageManager) {
+  projectPath = path.resolve(projectPath.replaceAll('\\', '')); // Ensure correct file path formatting across OS
+
+  const journalDirectory = path.join(projectPath, JOURNAL_DIRECTORY);
+  await rm(path.join(journalDirectory, PENDING_JOURNAL), { recursive: true, force: true });
+  await mkdir(path.join(journalDirectory, PENDING_JOURNAL), { recursive: true });
+
+  // Keep the backups out of version control
+  await writeFile(path.join(journalDirectory, '.gitignore'), '*\n', 'utf-8');
+
+  state = {
+    projectPath,
+    journal: {
+      createdAt: new Date().toISOString(),
+      packageManager,
+      files: [], // Changed files: `{ path, existed }`, relative to the project root.
+      directories: [], // Created directories, relative to the project root.
+      dependencies: false, // Whether packages were installed.
+    },
+  };
+  await saveJournal();
+}
+
+/**
+ * Checks whether the changes of the current run are recorded in a journal.
+ * @returns {boolean} `true` if a journal is being recorded.
+ */
+export function isJournaling() {
+  return state !== null;
+}
+
+/**
+ * Records a file about to be written, overwritten, appended to or removed, backing up its
+ * current content the first time it changes.
+ *
+ * @param {string} filePath The path of the file.
+ * @returns {Promise<void>}
+ */
+export async function journalFile(filePath) {
+  const relativePath = toJournalPath(filePath);
+  if (!relativePath || state.journal.files.some(file => file.path === relativePath)) return;
+
+  const existed = await isFile(path.join(state.projectPath, relativePath));
+  if (existed) {
+    await cp(path.join(state.projectPath, relativePath), getBackupPath(relativePath));
+  }
+
+  state.journal.files.push({ path: relativePath, existed });
+  await saveJournal();
+}
+
+/**
+ * Records a directory about to be created, along with the missing parent directories.
+ *
+ * @param {string} directory The path of the directory.
+ * @returns {Promise<void>}
+ */
+export async function journalDirectory(directory) {
+  let relativePath = toJournalPath(directory);
+  if (!relativePath) return;
+
+  // Find the topmost directory that doesn't exist yet, removing it removes the whole tree
+  let createdDirectory;
+  while (relativePath && relativePath !== '.') {
+    if (await exists(path.join(state.projectPath, relativePath))) break;
+    createdDirectory = relativePath;
+    relativePath = path.dirname(relativePath);
+  }
+
+  if (!createdDirectory || state.journal.directories.includes(createdDirectory)) return;
+
+  state.journal.directories.push(createdDirectory);
+  await saveJournal();
+}
+
+/**
+ * Records a dependency change, backing up package.json and the lockfiles.
+ * @returns {Promise<void>}
+ */
+export async function journalDependencies() {
+  if (!state) return;
+
+  for (const file of DEPENDENCY_FILES) {
+    await journalFile(path.join(state.projectPath, file));
+  }
+
+  state.journal.dependencies = true;
+  await saveJournal();
+}
+
+/**
+ * Ends the journal of a successful run. It replaces the journal of the previous run, so the
+ * `rollback` command always undoes the last successful run.
+ * @returns {Promise<void>}
+ */
+export async function commitJournal() {
+  if (!state) return;
+
+  const journalDirectory = path.join(state.projectPath, JOURNAL_DIRECTORY);
+  await rm(path.join(journalDirectory, LAST_RUN_JOURNAL), { recursive: true, force: true });
+  await rename(
+    path.join(journalDirectory, PENDING_JOURNAL),
+    path.join(journalDirectory, LAST_RUN_JOURNAL),
+  );
+
+  state = null;
+}
+
+/**
+ * Restores the project to its state before the current run, then discards the journal.
+ * @returns {Promise<void>}
+ */
+export async function rollbackJournal() {
+  if (!state) return;
+
+  const { projectPath } = state;
+  state = null;
+
+  await restoreJournal(projectPath, PENDING_JOURNAL);
+}
+
+/**
+ * Restores a project to its state before the last successful run, then discards the journal.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @returns {Promise<Object>} The restored journal.
+ * @throws {Error} If the project has no journal to roll back.
+ */
+export async function rollbackLastRun(projectPath) {
+  projectPath = path.resolve(projectPath.replaceAll('\\', '')); // Ensure correct file path formatting across OS
+
+  return await restoreJournal(projectPath, LAST_RUN_JOURNAL);
+}
+
+/**
+ * Reads the journal of the last successful run of a project.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @returns {Promise<Object|undefined>} The journal, or `undefined` if there is none.
+ */
+export async function readLastRunJournal(projectPath) {
+  projectPath = path.resolve(projectPath.replaceAll('\\', '')); // Ensure correct file path formatting across OS
+
+  try {
+    const journalPath = path.join(projectPath, JOURNAL_DIRECTORY, LAST_RUN_JOURNAL, 'journal.json');
+    return JSON.parse(await readFile(journalPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+/**
+ * Restores the files, directories and dependencies recorded in a journal.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {string} name The journal name (`pending` or `last-run`).
+ * @returns {Promise<Object>} The restored journal.
+ * @throws {Error} If the journal doesn't exist.
+ */
+async function restoreJournal(projectPath, name) {
+  const journalDirectory = path.join(projectPath, JOURNAL_DIRECTORY, name);
+
+  let journal;
+  try {
+    journal = JSON.parse(await readFile(path.join(journalDirectory, 'journal.json'), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error('There is no Nest Craft run to roll back.');
+    throw error;
+  }
+
+  // Restore the changed files, in reverse order
+  for (const file of [...journal.files].reverse()) {
+    const filePath = path.join(projectPath, file.path);
+
+    if (file.existed) {
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await cp(path.join(journalDirectory, 'files', file.path), filePath);
+    } else {
+      await rm(filePath, { recursive: true, force: true });
+    }
+  }
+
+  // Remove the created directories
+  for (const directory of [...journal.directories].reverse()) {
+    await rm(path.join(projectPath, directory), { recursive: true, force: true });
+  }
+
+  // Sync the installed packages with the restored package.json and lockfile
+  if (journal.dependencies) {
+    await execa(journal.packageManager, ['install'], { cwd: projectPath });
+
+    // The installation creates a lockfile even if the project didn't have one
+    for (const file of journal.files.filter(file => !file.existed)) {
+      if (DEPENDENCY_FILES.includes(file.path)) {
+        await rm(path.join(projectPath, file.path), { force: true });
+      }
+    }
+  }
+
+  await rm(journalDirectory, { recursive: true, force: true });
+
+  // Remove the journals directory once it no longer holds any journal
+  const remainingJournals = await readdir(path.join(projectPath, JOURNAL_DIRECTORY));
+  if (remainingJournals.every(entry => entry === '.gitignore')) {
+    await rm(path.join(projectPath, JOURNAL_DIRECTORY), { recursive: true, force: true });
+  }
+
+  return journal;
+}
+
+/**
+ * Converts a path to the project-relative path stored in the journal.
+ *
+ * @param {string} filePath The path.
+ * @returns {string|undefined} The relative path, or `undefined` if no journal is recorded or
+ * the path is outside of the project (or inside the journal directory).
+ */
+function toJournalPath(filePath) {
+  if (!state) return undefined;
+
+  // Ensure correct file path formatting across OS
+  const relativePath = path.relative(
+    state.projectPath,
+    path.resolve(filePath.replaceAll('\\', '')),
+  );
+
+  const outsideProject = relativePath.startsWith('..') || path.isAbsolute(relativePath);
+  const journalFiles = relativePath.split(path.sep)[0] === JOURNAL_DIRECTORY;
+  if (!relativePath || outsideProject || journalFiles) return undefined;
+
+  return relativePath;
+}
+
+/**
+ * Gets the backup path of a file of the current run.
+ * @param {string} relativePath The file path, relative to the project root.
+ * @returns {string} The backup path.
+ */
+function getBackupPath(relativePath) {
+  return path.join(state.projectPath, JOURNAL_DIRECTORY, PENDING_JOURNAL, 'files', relativePath);
+}
+
+/**
+ * Writes the journal of the current run, so it survives an interrupted process.
+ * @returns {Promise<void>}
+ */
+async function saveJournal() {
+  const journalPath = path.join(
+    state.projectPath,
+    JOURNAL_DIRECTORY,
+    PENDING_JOURNAL,
+    'journal.json',
+  );
+  await writeFile(journalPath, `${JSON.stringify(state.journal, null, 2)}\n`, 'utf-8');
+}
+
+/**
+ * Checks whether a path exists.
+ * @param {string} targetPath The path.
+ * @returns {Promise<boolean>} `true` if a file or directory exists at the path.
+ */
+async function exists(targetPath) {
+  try {
+    await stat(targetPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a path is an existing file.
+ * @param {string} filePath The path.
+ * @returns {Promise<boolean>} `true` if the path is a file.
+ */
+async function isFile(filePath) {
+  try {
+    return (await stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,34 @@
+import net from 'net';
+
+/**
+ * Detects the TCP ports already listening on this machine, by trying to listen on each of them
+ * on every interface, like a published Docker port does.
+ *
+ * @param {number[]} ports The ports to check.
+ * @returns {Promise<number[]>} The ports already in use, in the given order.
+ */
+export async function detectBusyPorts(ports) {
+  const busyPorts = [];
+  for (const port of ports) {
+    if (await isPortInUse(port)) busyPorts.push(port);
+  }
+
+  return busyPorts;
+}
+
+/**
+ * Checks whether a TCP port is already in use.
+ *
+ * @param {number} port The port to check.
+ * @returns {Promise<boolean>} `true` if another process listens on the port. Ports that can't be
+ * checked (e.g., privileged ports) are reported as free.
+ */
+function isPortInUse(port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+
+    server.once('error', error => resolve(error.code === 'EADDRINUSE'));
+    server.once('listening', () => server.close(() => resolve(false)));
+    server.listen({ port, host: '0.0.0.0', exclusive: true });
+  });
+}
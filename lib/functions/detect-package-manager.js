@@ -0,0 +1,23 @@
+import path from 'path';
+import { existsFile } from '../shell/shell.commands.js';
+
+// Lockfiles written by each supported package manager.
+export const LOCKFILES = {
+  pnpm: 'pnpm-lock.yaml',
+  yarn: 'yarn.lock',
+  npm: 'package-lock.json',
+};
+
+/**
+ * Detects the package manager of an existing project from its lockfile.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @returns {Promise<string|undefined>} The package manager, or `undefined` if the project has no lockfile.
+ */
+export async function detectPackageManager(projectPath) {
+  for (const [packageManager, lockfile] of Object.entries(LOCKFILES)) {
+    if (await existsFile(path.join(projectPath, lockfile))) return packageManager;
+  }
+
+  return undefined;
+}
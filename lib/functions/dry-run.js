@@ -0,0 +1,161 @@
+import { log } from '@clack/prompts';
+import chalk from 'chalk';
+import { createTwoFilesPatch } from 'diff';
+import path from 'path';
+
+// Dry-run state: the planned operations and a virtual view of the files they would change.
+const state = {
+  enabled: false, // Whether the current run is a dry run.
+  operations: [], // Planned operations, in execution order.
+  files: new Map(), // Virtual content of the files written (or `null` if removed) during the dry run.
+  directories: new Set(), // Directories created during the dry run.
+};
+
+/**
+ * Turns the current run into a dry run: every command, file write and package installation
+ * is recorded instead of being executed.
+ */
+export function enableDryRun() {
+  state.enabled = true;
+}
+
+/**
+ * Checks whether the current run is a dry run.
+ * @returns {boolean} `true` if nothing should be written to disk.
+ */
+export function isDryRun() {
+  return state.enabled;
+}
+
+/**
+ * Records a planned operation.
+ * @param {Object} operation The planned operation.
+ * @param {'command'|'install'|'copy'|'write'|'remove'} operation.type The operation type.
+ * @param {string} [operation.command] The shell command (`command` and `install` operations).
+ * @param {string} [operation.path] The affected path (`copy`, `write` and `remove` operations).
+ * @param {boolean} [operation.overwrite] Whether the file already exists (`copy` and `write` operations).
+ * @param {string} [operation.before] The current file content, used to print a diff.
+ * @param {string} [operation.after] The planned file content, used to print a diff.
+ */
+export function planOperation(operation) {
+  state.operations.push(operation);
+}
+
+/**
+ * Reads the virtual content of a file written during the dry run.
+ * @param {string} filePath The file path.
+ * @returns {string|null|undefined} The virtual content, `null` if the file was removed,
+ * or `undefined` if the file wasn't touched.
+ */
+export function getVirtualFile(filePath) {
+  return state.files.get(normalizePath(filePath));
+}
+
+/**
+ * Stores the virtual content of a file written during the dry run.
+ * @param {string} filePath The file path.
+ * @param {string} content The file content.
+ */
+export function setVirtualFile(filePath, content) {
+  state.files.set(normalizePath(filePath), content);
+}
+
+/**
+ * Marks a file as removed during the dry run.
+ * @param {string} filePath The file path.
+ */
+export function removeVirtualFile(filePath) {
+  state.files.set(normalizePath(filePath), null);
+}
+
+/**
+ * Records a directory created during the dry run.
+ * @param {string} directory The directory path.
+ */
+export function addVirtualDirectory(directory) {
+  state.directories.add(normalizePath(directory));
+}
+
+/**
+ * Checks whether a directory was created during the dry run.
+ * @param {string} directory The directory path.
+ * @returns {boolean} `true` if the directory only exists in the dry run.
+ */
+export function isVirtualDirectory(directory) {
+  return state.directories.has(normalizePath(directory));
+}
+
+/**
+ * Prints every planned operation, including a unified diff for each modified text file.
+ * @param {string} projectPath The absolute path to the project directory, used to shorten paths.
+ */
+export function printDryRunPlan(projectPath) {
+  projectPath = normalizePath(projectPath);
+  const relative = filePath => path.relative(projectPath, normalizePath(filePath)) || '.';
+
+  const commands = state.operations.filter(({ type }) => type === 'command' || type === 'install');
+  const fileOperations = state.operations.filter(({ type }) =>
+    ['copy', 'write', 'remove'].includes(type),
+  );
+  const diffs = state.operations.filter(
+    ({ type, before, after }) => type === 'write' && before !== undefined && before !== after,
+  );
+
+  log.info(chalk.yellow('Dry run: nothing has been written to disk.'));
+
+  if (commands.length) {
+    log.step(chalk.bold('Commands'));
+    log.message(commands.map(({ command }) => `$ ${command}`).join('\n'));
+  }
+
+  if (fileOperations.length) {
+    log.step(chalk.bold('Files'));
+    log.message(
+      fileOperations
+        .map(({ type, path: filePath, overwrite }) => {
+          if (type === 'remove') return `${chalk.red('remove   ')} ${relative(filePath)}`;
+          if (overwrite) return `${chalk.yellow('overwrite')} ${relative(filePath)}`;
+          return `${chalk.green('create   ')} ${relative(filePath)}`;
+        })
+        .join('\n'),
+    );
+  }
+
+  for (const { path: filePath, before, after } of diffs) {
+    const fileName = relative(filePath);
+    const patch = createTwoFilesPatch(`a/${fileName}`, `b/${fileName}`, before, after);
+
+    log.step(chalk.bold(`Changes to ${fileName}`));
+    log.message(colorizePatch(patch));
+  }
+}
+
+/**
+ * Colors the lines of a unified diff.
+ * @param {string} patch The unified diff.
+ * @returns {string} The colored diff.
+ */
+function colorizePatch(patch) {
+  return patch
+    .split('\n')
+    .filter(line => !line.startsWith('====='))
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      return line;
+    })
+    .join('\n')
+    .trimEnd();
+}
+
+/**
+ * Normalizes a path so the same file always maps to the same key.
+ * @param {string} filePath The path.
+ * @returns {string} The normalized path.
+ */
+function normalizePath(filePath) {
+  // Ensure correct file path formatting across OS
+  return path.normalize(filePath.replaceAll('\\', ''));
+}
@@ -1,9 +1,11 @@
-import { cancel } from '@clack/prompts';
+import { cancel, log } from '@clack/prompts';
 import { removeDirectory } from '../shell/shell.commands.js';
+import { isJournaling, rollbackJournal } from './change-journal.js';
 
 /**
- * Gracefully handles errors by displaying a message, attempting to clean up
- * any specified directories, and exiting the process.
+ * Gracefully handles errors by displaying a message, restoring the files changed in an
+ * existing project (see `startJournal()`), attempting to clean up any specified directories,
+ * and exiting the process.
  *
  * @param {Error} error - The error object containing the message and details.
  * @param {Object} [parentDirectory] - Optional metadata of the parent directory.
@@ -15,6 +17,17 @@ export async function errorHandler(error, parentDirectory, projectDirectory) {
   // Display the error message to the user.
   cancel(`Operation Error: ${error?.message || 'Unknown error occurred'}`);
 
+  // Restore the existing project to its state before the failed run.
+  if (isJournaling()) {
+    try {
+      await rollbackJournal();
+      log.info('The project has been restored to its previous state.');
+    } catch (rollbackError) {
+      // Log an error if the project can't be restored.
+      console.error('Failed to restore the project to its previous state', rollbackError);
+    }
+  }
+
   // Attempt to remove the project directory.
   if (projectDirectory) {
     try {
@@ -0,0 +1,52 @@
+import { parseArgs } from 'util';
+
+// Schematics supported by the `generate` command, keyed by their aliases.
+const SCHEMATICS = {
+  resource: 'resource',
+  res: 'resource',
+};
+
+// `parseArgs` definitions of every flag accepted by the `generate` command.
+const GENERATE_FLAGS = {
+  path: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+};
+
+/**
+ * Parses the arguments of the `generate` command (`generate <schematic> <name> [options]`).
+ *
+ * @param {string[]} args The raw command-line arguments following the `generate` command.
+ * @returns {{ schematic: string, name: string, path: string, dryRun: boolean }} The parsed arguments.
+ * @throws {Error} If the schematic or name is missing, or a flag is unknown.
+ */
+export function parseGenerateFlags(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: GENERATE_FLAGS,
+    strict: true,
+    allowPositionals: true,
+  });
+
+  const [schematic, name, ...rest] = positionals;
+
+  if (!SCHEMATICS[schematic]) {
+    throw new Error(
+      `Unsupported schematic "${schematic ?? ''}". Use: nest-craft generate resource <name>.`,
+    );
+  }
+
+  if (!name) {
+    throw new Error(`The ${SCHEMATICS[schematic]} name is required.`);
+  }
+
+  if (rest.length) {
+    throw new Error(`Unexpected argument(s) "${rest.join(' ')}".`);
+  }
+
+  return {
+    schematic: SCHEMATICS[schematic],
+    name,
+    path: values.path?.trim() || '.',
+    dryRun: !!values['dry-run'],
+  };
+}
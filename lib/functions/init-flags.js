@@ -0,0 +1,342 @@
+import { parseArgs } from 'util';
+import { getSelectableServices } from '../docker/service-catalog.js';
+
+// Supported package managers.
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm'];
+
+// Map of `--features` values to the option keys returned by `collectOptions()`.
+export const FEATURE_FLAGS = {
+  filter: 'customFilter',
+  pipe: 'customPipe',
+  interceptor: 'customInterceptor',
+  swagger: 'swaggerConfig',
+  'user-definition': 'userDefinition',
+  multer: 'multer',
+  winston: 'winstonLogger',
+};
+
+// Map of `--security` values to the selections used by the security options.
+export const SECURITY_FLAGS = {
+  cors: 'cors',
+  helmet: 'helmet',
+  'fake-headers': 'fake-tech-stack-headers',
+};
+
+// Supported `--database` values.
+const DATABASE_TYPES = ['typeorm-postgresql', 'typeorm-mysql', 'mongoose', 'none'];
+
+// Supported `--cache` values.
+const CACHE_MODES = ['global', 'decorator', 'none'];
+
+// Supported `--pagination` values.
+const PAGINATION_TYPES = ['typeorm', 'mongoose', 'prisma', 'none'];
+
+// `parseArgs` definitions of every flag accepted by the `init` command.
+const INIT_FLAGS = {
+  yes: { type: 'boolean', short: 'y' },
+  name: { type: 'string' },
+  'package-manager': { type: 'string' },
+  'skip-git': { type: 'boolean' },
+  git: { type: 'boolean' },
+  'docker-services': { type: 'string' },
+  'no-docker': { type: 'boolean' },
+  network: { type: 'string' },
+  features: { type: 'string' },
+  security: { type: 'string' },
+  database: { type: 'string' },
+  pagination: { type: 'string' },
+  cache: { type: 'string' },
+  prefix: { type: 'string' },
+  'no-prefix': { type: 'boolean' },
+  versioning: { type: 'boolean' },
+  'no-versioning': { type: 'boolean' },
+  tabs: { type: 'boolean' },
+  'no-tabs': { type: 'boolean' },
+  'nest-options': { type: 'string' },
+  plugins: { type: 'string' },
+  plugin: { type: 'string', multiple: true },
+  preset: { type: 'string' },
+  'save-preset': { type: 'string' },
+  'dry-run': { type: 'boolean' },
+};
+
+/**
+ * Parses the command-line flags of the `init` command into a partial set of answers.
+ *
+ * Every answer that is not provided through a flag is left `undefined`, so the caller can
+ * decide whether to prompt for it or, in `--yes` mode, fall back to its default value.
+ *
+ * @param {string[]} args The raw command-line arguments following the `init` command.
+ * @returns {{ yes: boolean, dryRun: boolean, preset?: string, savePreset?: string, pluginPaths: string[], projectName?: string, gitStatus?: string, packageManager?: string, options: Object }}
+ * The parsed answers. `options` uses the same keys as the object returned by `collectOptions()`.
+ * @throws {Error} If a flag is unknown or has an invalid value.
+ */
+export function parseInitFlags(args) {
+  const { values } = parseArgs({ args, options: INIT_FLAGS, strict: true });
+
+  const answers = {
+    yes: !!values.yes,
+    dryRun: !!values['dry-run'],
+    preset: values.preset,
+    savePreset: values['save-preset'],
+    pluginPaths: values.plugin ?? [],
+    projectName: values.name?.trim() || undefined,
+    gitStatus: parseGitStatus(values),
+    packageManager: parsePackageManager(values['package-manager']),
+    options: {
+      dockerComposeConfig: parseDockerServices(values),
+      ...parseFeatures(values.features),
+      securityOptions: parseSecurity(values.security),
+      databaseType: parseDatabase(values.database),
+      paginationType: parsePagination(values.pagination),
+      cacheMode: parseCache(values.cache),
+      prettier: parseToggle(values, 'tabs'),
+      prefix: parsePrefix(values),
+      apiVersioning: parseToggle(values, 'versioning'),
+      plugins: parsePlugins(values.plugins),
+      nestOptions: values['nest-options'],
+    },
+  };
+
+  // The project name is the only answer without a sensible default.
+  if (answers.yes && !answers.projectName) {
+    throw new Error('The "--name" flag is required when using "--yes".');
+  }
+
+  if (answers.projectName && /\s/.test(answers.projectName)) {
+    throw new Error('The project name must not contain spaces.');
+  }
+
+  return answers;
+}
+
+/**
+ * Splits a comma-separated flag value into a list of trimmed, non-empty entries.
+ * @param {string} value The raw flag value.
+ * @returns {string[]} The list of entries.
+ */
+function splitList(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolves a boolean flag that can be explicitly negated with its `--no-` counterpart.
+ * @param {Object} values The parsed flag values.
+ * @param {string} name The name of the flag.
+ * @returns {boolean|undefined} The flag state, or `undefined` if neither form was passed.
+ */
+function parseToggle(values, name) {
+  if (values[name] && values[`no-${name}`]) {
+    throw new Error(`The "--${name}" and "--no-${name}" flags cannot be used together.`);
+  }
+
+  if (values[name]) return true;
+  if (values[`no-${name}`]) return false;
+  return undefined;
+}
+
+/**
+ * Resolves the Git initialization status from the `--git` and `--skip-git` flags.
+ * @param {Object} values The parsed flag values.
+ * @returns {string|undefined} An empty string to initialize Git, "--skip-git" to skip it.
+ */
+function parseGitStatus(values) {
+  if (values.git && values['skip-git']) {
+    throw new Error('The "--git" and "--skip-git" flags cannot be used together.');
+  }
+
+  if (values['skip-git']) return '--skip-git';
+  if (values.git) return '';
+  return undefined;
+}
+
+/**
+ * Validates the `--package-manager` flag.
+ * @param {string} [packageManager] The raw flag value.
+ * @returns {string|undefined} The selected package manager.
+ */
+function parsePackageManager(packageManager) {
+  if (packageManager === undefined) return undefined;
+
+  if (!PACKAGE_MANAGERS.includes(packageManager)) {
+    throw new Error(
+      `Unsupported package manager "${packageManager}". Use one of: ${PACKAGE_MANAGERS.join(', ')}.`,
+    );
+  }
+
+  return packageManager;
+}
+
+/**
+ * Builds the Docker Compose configuration from the `--docker-services`, `--network`
+ * and `--no-docker` flags.
+ * @param {Object} values The parsed flag values.
+ * @returns {{ status: boolean, services?: string[], network?: string }|undefined}
+ * The Docker Compose configuration, or `undefined` if Docker flags weren't passed.
+ */
+function parseDockerServices(values) {
+  const servicesFlag = values['docker-services'];
+  const { network } = values;
+
+  if (values['no-docker']) {
+    if (servicesFlag !== undefined || network !== undefined) {
+      throw new Error('The "--no-docker" flag cannot be combined with other Docker flags.');
+    }
+    return { status: false };
+  }
+
+  if (servicesFlag === undefined) {
+    if (network !== undefined) {
+      throw new Error('The "--network" flag requires "--docker-services".');
+    }
+    return undefined;
+  }
+
+  const services = splitList(servicesFlag);
+  if (services.length === 1 && services[0] === 'none') return { status: false };
+
+  const supportedServices = getSelectableServices();
+  const unknownServices = services.filter(service => !supportedServices.includes(service));
+  if (unknownServices.length || !services.length) {
+    throw new Error(
+      `Unsupported Docker service(s) "${unknownServices.join(', ')}". Use any of: ${supportedServices.join(', ')}.`,
+    );
+  }
+
+  if (network !== undefined && !/^[a-zA-Z-]+$/.test(network)) {
+    throw new Error('The network name must contain only letters (a-z, A-Z) and hyphens (-).');
+  }
+
+  return {
+    status: true,
+    // Keep the services in the same order the interactive selector produces.
+    services: supportedServices.filter(service => services.includes(service)),
+    network: network ?? '',
+  };
+}
+
+/**
+ * Converts the `--features` flag into the matching boolean options. Features that are
+ * not listed are disabled once the flag is passed.
+ * @param {string} [features] The raw flag value.
+ * @returns {Object} The feature options, empty if the flag wasn't passed.
+ */
+function parseFeatures(features) {
+  if (features === undefined) return {};
+
+  const selected = splitList(features).filter(feature => feature !== 'none');
+  const unknownFeatures = selected.filter(feature => !FEATURE_FLAGS[feature]);
+  if (unknownFeatures.length) {
+    throw new Error(
+      `Unsupported feature(s) "${unknownFeatures.join(', ')}". Use any of: ${Object.keys(FEATURE_FLAGS).join(', ')}.`,
+    );
+  }
+
+  return Object.fromEntries(
+    Object.entries(FEATURE_FLAGS).map(([feature, option]) => [option, selected.includes(feature)]),
+  );
+}
+
+/**
+ * Converts the `--security` flag into the security options object.
+ * @param {string} [security] The raw flag value.
+ * @returns {{ enabled: boolean, selections: string[] }|undefined} The security options.
+ */
+function parseSecurity(security) {
+  if (security === undefined) return undefined;
+
+  const selected = splitList(security).filter(option => option !== 'none');
+  const unknownOptions = selected.filter(option => !SECURITY_FLAGS[option]);
+  if (unknownOptions.length) {
+    throw new Error(
+      `Unsupported security option(s) "${unknownOptions.join(', ')}". Use any of: ${Object.keys(SECURITY_FLAGS).join(', ')}.`,
+    );
+  }
+
+  return {
+    enabled: selected.length > 0,
+    selections: selected.map(option => SECURITY_FLAGS[option]),
+  };
+}
+
+/**
+ * Validates the `--database` flag.
+ * @param {string} [database] The raw flag value.
+ * @returns {string|null|undefined} The database setup, `null` for none, or `undefined` if not passed.
+ */
+function parseDatabase(database) {
+  if (database === undefined) return undefined;
+
+  if (!DATABASE_TYPES.includes(database)) {
+    throw new Error(
+      `Unsupported database "${database}". Use one of: ${DATABASE_TYPES.join(', ')}.`,
+    );
+  }
+
+  return database === 'none' ? null : database;
+}
+
+/**
+ * Validates the `--pagination` flag.
+ * @param {string} [pagination] The raw flag value.
+ * @returns {string|null|undefined} The pagination type, `null` for none, or `undefined` if not passed.
+ */
+function parsePagination(pagination) {
+  if (pagination === undefined) return undefined;
+
+  if (!PAGINATION_TYPES.includes(pagination)) {
+    throw new Error(
+      `Unsupported pagination type "${pagination}". Use one of: ${PAGINATION_TYPES.join(', ')}.`,
+    );
+  }
+
+  return pagination === 'none' ? null : pagination;
+}
+
+/**
+ * Validates the `--cache` flag.
+ * @param {string} [cache] The raw flag value.
+ * @returns {string|null|undefined} The cache mode, `null` for none, or `undefined` if not passed.
+ */
+function parseCache(cache) {
+  if (cache === undefined) return undefined;
+
+  if (!CACHE_MODES.includes(cache)) {
+    throw new Error(`Unsupported cache mode "${cache}". Use one of: ${CACHE_MODES.join(', ')}.`);
+  }
+
+  return cache === 'none' ? null : cache;
+}
+
+/**
+ * Resolves the global prefix from the `--prefix` and `--no-prefix` flags.
+ * @param {Object} values The parsed flag values.
+ * @returns {string|null|undefined} The prefix, `null` for no prefix, or `undefined` if not passed.
+ */
+function parsePrefix(values) {
+  if (values.prefix !== undefined && values['no-prefix']) {
+    throw new Error('The "--prefix" and "--no-prefix" flags cannot be used together.');
+  }
+
+  if (values['no-prefix']) return null;
+  if (values.prefix === undefined) return undefined;
+
+  return values.prefix.trim() || '/api';
+}
+
+/**
+ * Converts the `--plugins` flag into the selected plugins. Their prompts are answered later,
+ * once the plugins are loaded.
+ * @param {string} [plugins] The raw flag value.
+ * @returns {Object<string, Object>|undefined} The selected plugins keyed by identifier, with no
+ * answers yet, or `undefined` if the flag wasn't passed.
+ */
+function parsePlugins(plugins) {
+  if (plugins === undefined) return undefined;
+
+  const selected = splitList(plugins).filter(plugin => plugin !== 'none');
+  return Object.fromEntries(selected.map(plugin => [plugin, {}]));
+}
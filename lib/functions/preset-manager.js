@@ -0,0 +1,229 @@
+import Ajv from 'ajv';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FEATURE_FLAGS, SECURITY_FLAGS } from './init-flags.js';
+
+// Directory holding the named presets of the current user.
+export const PRESETS_DIRECTORY = path.join(os.homedir(), '.nest-craft', 'presets');
+
+// Public URL of the preset JSON schema, referenced by saved presets.
+const PRESET_SCHEMA_URL = 'https://unpkg.com/nest-craft/schemas/preset.schema.json';
+
+// Compiled validator of the published preset schema.
+const validatePreset = new Ajv({ allErrors: true }).compile(
+  JSON.parse(readFileSync(new URL('../../schemas/preset.schema.json', import.meta.url))),
+);
+
+/**
+ * Applies the preset referenced by the `--preset` flag to the answers parsed from the
+ * command-line flags. Answers passed as flags take precedence over the preset ones.
+ *
+ * @param {Object} answers The answers parsed from the command-line flags (see `parseInitFlags()`).
+ * @returns {Object} The merged answers.
+ * @throws {Error} If the preset is invalid or the `--save-preset` name is not supported.
+ */
+export function applyPreset(answers) {
+  // Validate the name up front so an invalid name doesn't fail after the whole run.
+  if (answers.savePreset !== undefined) validatePresetName(answers.savePreset);
+
+  if (!answers.preset) return answers;
+
+  const presetAnswers = loadPreset(answers.preset);
+
+  return {
+    ...answers,
+    gitStatus: answers.gitStatus ?? presetAnswers.gitStatus,
+    packageManager: answers.packageManager ?? presetAnswers.packageManager,
+    options: {
+      ...presetAnswers.options,
+      ...Object.fromEntries(
+        Object.entries(answers.options).filter(([, value]) => value !== undefined),
+      ),
+    },
+  };
+}
+
+/**
+ * Loads, validates and converts a preset into a partial set of `init` answers.
+ *
+ * A preset reference is either a path to a JSON file (e.g. `./team.nestcraft.json`) or the
+ * name of a preset stored in `~/.nest-craft/presets`.
+ *
+ * @param {string} reference The preset path or name.
+ * @returns {{ gitStatus?: string, packageManager?: string, options: Object }} The preset answers.
+ * `options` uses the same keys as the object returned by `collectOptions()`.
+ * @throws {Error} If the preset cannot be found, parsed or doesn't match the preset schema.
+ */
+export function loadPreset(reference) {
+  const presetPath = resolvePresetPath(reference);
+
+  if (!existsSync(presetPath)) {
+    throw new Error(`Preset "${reference}" was not found (looked for ${presetPath}).`);
+  }
+
+  let preset;
+  try {
+    preset = JSON.parse(readFileSync(presetPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Preset "${reference}" is not valid JSON: ${error.message}`);
+  }
+
+  if (!validatePreset(preset)) {
+    const details = validatePreset.errors
+      .map(({ instancePath, message }) => `${instancePath || '/'} ${message}`)
+      .join('; ');
+    throw new Error(`Preset "${reference}" does not match the preset schema: ${details}`);
+  }
+
+  return presetToAnswers(preset);
+}
+
+/**
+ * Saves the answers of an `init` run as a named preset in `~/.nest-craft/presets`.
+ *
+ * @param {string} name The preset name.
+ * @param {{ gitStatus: string, packageManager: string, options: Object }} answers The resolved answers.
+ * @returns {string} The path of the saved preset file.
+ */
+export function savePreset(name, answers) {
+  const presetPath = resolvePresetPath(name);
+
+  mkdirSync(PRESETS_DIRECTORY, { recursive: true });
+  writeFileSync(presetPath, `${JSON.stringify(answersToPreset(answers), null, 2)}\n`, 'utf-8');
+
+  return presetPath;
+}
+
+/**
+ * Validates a preset name so it can be safely used as a file name.
+ *
+ * @param {string} name The preset name.
+ * @returns {string} The validated name.
+ * @throws {Error} If the name contains unsupported characters.
+ */
+export function validatePresetName(name) {
+  if (!/^[a-zA-Z0-9._-]+$/.test(name)) {
+    throw new Error(
+      `Invalid preset name "${name}". Use only letters, numbers, dots, hyphens and underscores.`,
+    );
+  }
+
+  return name;
+}
+
+/**
+ * Resolves a preset reference to the path of its file.
+ *
+ * @param {string} reference The preset path or name.
+ * @returns {string} The absolute path of the preset file.
+ */
+function resolvePresetPath(reference) {
+  // Treat anything that looks like a path as a path.
+  if (reference.includes('/') || reference.includes(path.sep) || reference.endsWith('.json')) {
+    return path.resolve(
+      reference.startsWith('~') ? reference.replace('~', os.homedir()) : reference,
+    );
+  }
+
+  return path.join(PRESETS_DIRECTORY, `${validatePresetName(reference)}.json`);
+}
+
+/**
+ * Converts a validated preset into `init` answers.
+ *
+ * @param {Object} preset The preset content.
+ * @returns {{ gitStatus?: string, packageManager?: string, options: Object }} The answers.
+ */
+function presetToAnswers(preset) {
+  const options = {};
+
+  if (preset.docker !== undefined) {
+    options.dockerComposeConfig = preset.docker
+      ? { status: true, ...preset.docker, network: preset.docker.network ?? '' }
+      : { status: false };
+  }
+
+  if (preset.features !== undefined) {
+    for (const [feature, option] of Object.entries(FEATURE_FLAGS)) {
+      options[option] = preset.features.includes(feature);
+    }
+  }
+
+  if (preset.security !== undefined) {
+    options.securityOptions = {
+      enabled: preset.security.length > 0,
+      selections: preset.security.map(option => SECURITY_FLAGS[option]),
+    };
+  }
+
+  if (preset.database !== undefined) {
+    options.databaseType = preset.database === 'none' ? null : preset.database;
+  }
+
+  if (preset.pagination !== undefined) {
+    options.paginationType = preset.pagination === 'none' ? null : preset.pagination;
+  }
+
+  if (preset.cache !== undefined) {
+    options.cacheMode = preset.cache === 'none' ? null : preset.cache;
+  }
+
+  if (preset.prefix !== undefined) options.prefix = preset.prefix || null;
+  if (preset.versioning !== undefined) options.apiVersioning = preset.versioning;
+  if (preset.tabs !== undefined) options.prettier = preset.tabs;
+  if (preset.plugins !== undefined) options.plugins = preset.plugins;
+  if (preset.nestOptions !== undefined) options.nestOptions = preset.nestOptions;
+
+  return {
+    gitStatus: preset.git === undefined ? undefined : preset.git ? '' : '--skip-git',
+    packageManager: preset.packageManager,
+    options,
+  };
+}
+
+/**
+ * Converts resolved `init` answers into a preset.
+ *
+ * @param {{ gitStatus: string, packageManager: string, options: Object }} answers The resolved answers.
+ * @returns {Object} The preset content.
+ */
+function answersToPreset({ gitStatus, packageManager, options }) {
+  const { dockerComposeConfig, securityOptions } = options;
+
+  const preset = {
+    $schema: PRESET_SCHEMA_URL,
+    packageManager,
+    git: gitStatus !== '--skip-git',
+    docker:
+      dockerComposeConfig.status && dockerComposeConfig.services.length
+        ? {
+            services: dockerComposeConfig.services,
+            ...(dockerComposeConfig.network && { network: dockerComposeConfig.network }),
+            ...(dockerComposeConfig.ports && { ports: dockerComposeConfig.ports }),
+            ...(dockerComposeConfig.tags && { tags: dockerComposeConfig.tags }),
+            ...(dockerComposeConfig.namespace && { namespace: true }),
+            ...(dockerComposeConfig.secrets && { secrets: true }),
+          }
+        : false,
+    features: Object.entries(FEATURE_FLAGS)
+      .filter(([, option]) => options[option])
+      .map(([feature]) => feature),
+    security: securityOptions.enabled
+      ? Object.entries(SECURITY_FLAGS)
+          .filter(([, selection]) => securityOptions.selections.includes(selection))
+          .map(([option]) => option)
+      : [],
+    database: options.databaseType || 'none',
+    pagination: options.paginationType || 'none',
+    cache: options.cacheMode || 'none',
+    prefix: options.prefix || false,
+    versioning: !!options.apiVersioning,
+    tabs: !!options.prettier,
+    plugins: options.plugins ?? {},
+  };
+
+  if (options.nestOptions) preset.nestOptions = options.nestOptions;
+
+  return preset;
+}
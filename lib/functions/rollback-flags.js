@@ -0,0 +1,23 @@
+import { parseArgs } from 'util';
+
+// `parseArgs` definitions of every flag accepted by the `rollback` command.
+const ROLLBACK_FLAGS = {
+  path: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+};
+
+/**
+ * Parses the command-line flags of the `rollback` command.
+ *
+ * @param {string[]} args The raw command-line arguments following the `rollback` command.
+ * @returns {{ path: string, yes: boolean }} The parsed flags.
+ * @throws {Error} If a flag is unknown or has an invalid value.
+ */
+export function parseRollbackFlags(args) {
+  const { values } = parseArgs({ args, options: ROLLBACK_FLAGS, strict: true });
+
+  return {
+    path: values.path?.trim() || '.',
+    yes: !!values.yes,
+  };
+}
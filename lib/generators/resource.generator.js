@@ -0,0 +1,238 @@
+import path from 'path';
+import { registerAppModuleImport } from '../files/app-module.modifier.js';
+import {
+  createDirectory,
+  existsDirectory,
+  existsFile,
+  formatFiles,
+  packageInstallation,
+  readTextFile,
+  writeTextFile,
+} from '../shell/shell.commands.js';
+import {
+  controllerSpecTemplate,
+  controllerTemplate,
+  createDtoTemplate,
+  entityTemplate,
+  moduleTemplate,
+  schemaTemplate,
+  serviceSpecTemplate,
+  serviceTemplate,
+  updateDtoTemplate,
+} from './resource.templates.js';
+
+// Directory of the pagination utilities in projects generated by Nest Craft.
+const PAGINATION_DIRECTORY = 'src/common/utils/pagination';
+
+// Pagination utilities the resource templates persist with. Prisma models live in
+// `prisma/schema.prisma`, so Prisma projects get the in-memory service.
+const RESOURCE_PAGINATIONS = ['typeorm', 'mongoose'];
+
+// Registration of the database connection the resource templates of each pagination utility inject from
+const CONNECTION_REGISTRATIONS = {
+  typeorm: 'TypeOrmModule.forRoot',
+  mongoose: 'MongooseModule.forRoot',
+};
+
+// Files registering the database connection in projects generated by Nest Craft
+const CONNECTION_FILES = ['src/app.module.ts', 'src/modules/database/database.module.ts'];
+
+/**
+ * Generates a resource (module, controller, service, DTOs and spec files) under
+ * `src/modules/<name>` and registers its module in `app.module.ts`.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {string} name The resource name (e.g., `users` or `blog-posts`).
+ * @param {Object} options Generation options.
+ * @param {string} options.packageManager The package manager of the project.
+ * @param {string} [options.pagination] The pagination utility recorded in the project manifest, if any.
+ * @param {string} [options.database] The database module recorded in the project manifest, if any.
+ * @returns {Promise<{ files: string[], pagination?: string, swagger: boolean, unconnectedPagination?: string }>}
+ * The created files and the detected generation context. `unconnectedPagination` names the
+ * pagination utility left unused because the project registers no matching database connection.
+ * @throws {Error} If the resource directory already exists.
+ */
+export async function generateResource(
+  projectPath,
+  name,
+  { packageManager, pagination, database },
+) {
+  projectPath = projectPath.replaceAll('\\', ''); // Ensure correct file path formatting across OS
+
+  const names = getResourceNames(name);
+  const resourceDirectory = path.join(projectPath, 'src/modules', names.fileName);
+
+  if (await existsDirectory(resourceDirectory)) {
+    throw new Error(`The src/modules/${names.fileName} directory already exists.`);
+  }
+
+  // Repositories and models can only be injected once the database connection is registered,
+  // otherwise the service keeps the records in memory
+  const detectedPagination = await detectPagination(projectPath, pagination);
+  const connected =
+    !!detectedPagination &&
+    (await hasDatabaseConnection(projectPath, detectedPagination, database));
+
+  const dependencies = await readDependencies(projectPath);
+  const context = {
+    pagination: connected ? detectedPagination : undefined,
+    swagger: dependencies.includes('@nestjs/swagger'),
+  };
+
+  // The DTOs are validated with class-validator, which the ValidationPipe pairs with
+  // class-transformer. Without Swagger, `PartialType` comes from the standalone mapped-types package
+  const missingPackages = [
+    'class-validator',
+    'class-transformer',
+    ...(context.swagger ? [] : ['@nestjs/mapped-types']),
+  ].filter(dependency => !dependencies.includes(dependency));
+  if (missingPackages.length) {
+    await packageInstallation(projectPath, packageManager, missingPackages);
+  }
+
+  const modelFile =
+    context.pagination === 'mongoose'
+      ? [`schemas/${names.entityFileName}.schema.ts`, schemaTemplate]
+      : [`entities/${names.entityFileName}.entity.ts`, entityTemplate];
+
+  const templates = [
+    [`${names.fileName}.module.ts`, moduleTemplate],
+    [`${names.fileName}.controller.ts`, controllerTemplate],
+    [`${names.fileName}.controller.spec.ts`, controllerSpecTemplate],
+    [`${names.fileName}.service.ts`, serviceTemplate],
+    [`${names.fileName}.service.spec.ts`, serviceSpecTemplate],
+    [`dto/create-${names.entityFileName}.dto.ts`, createDtoTemplate],
+    [`dto/update-${names.entityFileName}.dto.ts`, updateDtoTemplate],
+    modelFile,
+  ];
+
+  const files = [];
+  for (const [file, template] of templates) {
+    const filePath = path.join(resourceDirectory, file);
+
+    await createDirectory(path.dirname(filePath));
+    await writeTextFile(filePath, template(names, context));
+    files.push(filePath);
+  }
+
+  // Register the module in the application
+  await registerAppModuleImport(
+    projectPath,
+    `${names.className}Module`,
+    `./modules/${names.fileName}/${names.fileName}.module`,
+  );
+
+  // Apply the project's code style to the generated files
+  await formatFiles(projectPath, [...files, path.join(projectPath, 'src/app.module.ts')]);
+
+  return { files, ...context, unconnectedPagination: connected ? undefined : detectedPagination };
+}
+
+/**
+ * Derives the file, class and property names of a resource from its name.
+ *
+ * The resource itself (module, controller, service) keeps the given name, while the
+ * entity and DTOs use its singular form, like the Nest CLI does.
+ *
+ * @param {string} name The resource name in any case (e.g., `blog-posts`, `blogPosts` or `BlogPosts`).
+ * @returns {Object} The resource names.
+ * @throws {Error} If the name contains unsupported characters.
+ */
+export function getResourceNames(name) {
+  if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+    throw new Error(
+      `Invalid resource name "${name}". Use letters, digits, hyphens (-) and underscores (_) only, starting with a letter.`,
+    );
+  }
+
+  const words = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+  const singularWords = [...words.slice(0, -1), singularize(words[words.length - 1])];
+
+  const pascalCase = list => list.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  const camelCase = list => pascalCase(list).replace(/^./, character => character.toLowerCase());
+
+  return {
+    fileName: words.join('-'),
+    className: pascalCase(words),
+    propertyName: camelCase(words),
+    routePath: words.join('-'),
+    entityFileName: singularWords.join('-'),
+    entityClassName: pascalCase(singularWords),
+    entityPropertyName: camelCase(singularWords),
+    label: singularWords.join(' '),
+    pluralLabel: words.join(' '),
+    sentenceLabel: pascalCase([singularWords.join(' ')]),
+  };
+}
+
+/**
+ * Converts an English word to its singular form, covering the regular plural forms.
+ * @param {string} word The word.
+ * @returns {string} The singular form.
+ */
+function singularize(word) {
+  if (/(us|ss|is|news|series|species)$/.test(word)) return word;
+  if (/[^aeiou]ies$/.test(word)) return word.replace(/ies$/, 'y');
+  if (/(ss|x|z|ch|sh)es$/.test(word)) return word.replace(/es$/, '');
+  if (/s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Detects the pagination utility available in the project.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {string} [recordedPagination] The pagination utility recorded in the project manifest.
+ * @returns {Promise<string|undefined>} `typeorm`, `mongoose`, or `undefined` if none is available
+ * (including Prisma projects).
+ */
+async function detectPagination(projectPath, recordedPagination) {
+  if (recordedPagination) {
+    return RESOURCE_PAGINATIONS.includes(recordedPagination) ? recordedPagination : undefined;
+  }
+
+  for (const type of RESOURCE_PAGINATIONS) {
+    const utility = path.join(projectPath, PAGINATION_DIRECTORY, `${type}.pagination.utility.ts`);
+    if (await existsFile(utility)) return type;
+  }
+
+  return undefined;
+}
+
+/**
+ * Checks whether the project registers the database connection a pagination utility's resource
+ * templates inject from (e.g., `TypeOrmModule.forRoot` for TypeORM).
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {string} pagination The pagination utility (`typeorm` or `mongoose`).
+ * @param {string} [recordedDatabase] The database module recorded in the project manifest (e.g., `typeorm-postgresql`).
+ * @returns {Promise<boolean>} `true` if the connection is registered.
+ */
+async function hasDatabaseConnection(projectPath, pagination, recordedDatabase) {
+  if (recordedDatabase) return recordedDatabase.split('-')[0] === pagination;
+
+  for (const file of CONNECTION_FILES) {
+    const filePath = path.join(projectPath, file);
+    if (!(await existsFile(filePath))) continue;
+
+    if ((await readTextFile(filePath)).includes(CONNECTION_REGISTRATIONS[pagination])) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Lists the dependencies declared in the project's package.json file.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @returns {Promise<string[]>} The names of the regular and development dependencies.
+ */
+async function readDependencies(projectPath) {
+  const packageJson = JSON.parse(await readTextFile(path.join(projectPath, 'package.json')));
+
+  return Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies });
+}
@@ -0,0 +1,479 @@
+/**
+ * Templates of the files created by `nest-craft generate resource`.
+ *
+ * Every template receives the resource names (see `getResourceNames()`) and the generation
+ * context:
+ * - `pagination`: The pagination utility available in the project (`typeorm`, `mongoose` or `undefined`).
+ * - `swagger`: Whether the project uses `@nestjs/swagger`.
+ */
+
+// Import path of the pagination utilities, relative to a resource directory.
+const PAGINATION_PATH = '../../common/utils/pagination';
+
+/**
+ * Builds the module file.
+ * @param {Object} names The resource names.
+ * @param {Object} context The generation context.
+ * @returns {string} The file content.
+ */
+export function moduleTemplate(names, { pagination }) {
+  const { className, fileName, entityClassName, entityFileName } = names;
+
+  const persistence = {
+    typeorm: {
+      imports: [
+        `import { TypeOrmModule } from '@nestjs/typeorm';`,
+        `import { ${entityClassName} } from './entities/${entityFileName}.entity';`,
+      ],
+      moduleImports: `\n  imports: [TypeOrmModule.forFeature([${entityClassName}])],`,
+    },
+    mongoose: {
+      imports: [
+        `import { MongooseModule } from '@nestjs/mongoose';`,
+        `import { ${entityClassName}, ${entityClassName}Schema } from './schemas/${entityFileName}.schema';`,
+      ],
+      moduleImports: `\n  imports: [MongooseModule.forFeature([{ name: ${entityClassName}.name, schema: ${entityClassName}Schema }])],`,
+    },
+  }[pagination] ?? { imports: [], moduleImports: '' };
+
+  return `import { Module } from '@nestjs/common';
+${persistence.imports.map(statement => `${statement}\n`).join('')}import { ${className}Controller } from './${fileName}.controller';
+import { ${className}Service } from './${fileName}.service';
+
+@Module({${persistence.moduleImports}
+  controllers: [${className}Controller],
+  providers: [${className}Service],
+  exports: [${className}Service],
+})
+export class ${className}Module {}
+`;
+}
+
+/**
+ * Builds the controller file.
+ * @param {Object} names The resource names.
+ * @param {Object} context The generation context.
+ * @returns {string} The file content.
+ */
+export function controllerTemplate(names, { pagination, swagger }) {
+  const { className, fileName, propertyName, routePath, entityClassName, entityFileName, label } =
+    names;
+  // Mongoose uses ObjectId strings, the other persistence layers use numeric IDs
+  const numericId = pagination !== 'mongoose';
+  const idParam = numericId ? `@Param('id', ParseIntPipe) id: number` : `@Param('id') id: string`;
+
+  const commonImports = ['Body', 'Controller', 'Delete', 'Get', 'Param', 'Patch', 'Post'];
+  if (numericId) commonImports.splice(commonImports.indexOf('Param') + 1, 0, 'ParseIntPipe');
+  if (pagination) commonImports.push('Query', 'Req');
+
+  const imports = [`import { ${commonImports.join(', ')} } from '@nestjs/common';`];
+  if (swagger) {
+    imports.push(
+      `import { ApiCreatedResponse, ApiNotFoundResponse, ApiOkResponse, ApiOperation, ApiTags } from '@nestjs/swagger';`,
+    );
+  }
+  if (pagination) {
+    imports.push(
+      `import type { Request } from 'express';`,
+      `import { PaginationDto } from '${PAGINATION_PATH}/pagination.dto';`,
+    );
+  }
+  imports.push(
+    `import { Create${entityClassName}Dto } from './dto/create-${entityFileName}.dto';`,
+    `import { Update${entityClassName}Dto } from './dto/update-${entityFileName}.dto';`,
+    `import { ${className}Service } from './${fileName}.service';`,
+  );
+
+  // Swagger decorators of each endpoint, empty if the project doesn't use Swagger
+  const docs = decorators =>
+    swagger ? decorators.map(decorator => `  ${decorator}\n`).join('') : '';
+
+  const findAll = pagination
+    ? `  findAll(@Query() paginationDto: PaginationDto, @Req() request: Request) {
+    return this.${propertyName}Service.findAll(paginationDto, request.originalUrl);
+  }`
+    : `  findAll() {
+    return this.${propertyName}Service.findAll();
+  }`;
+
+  return `${imports.join('\n')}
+
+${swagger ? `@ApiTags('${routePath}')\n` : ''}@Controller('${routePath}')
+export class ${className}Controller {
+  constructor(private readonly ${propertyName}Service: ${className}Service) {}
+
+  @Post()
+${docs([`@ApiOperation({ summary: 'Create a ${label}' })`, `@ApiCreatedResponse({ description: 'The ${label} has been created.' })`])}  create(@Body() create${entityClassName}Dto: Create${entityClassName}Dto) {
+    return this.${propertyName}Service.create(create${entityClassName}Dto);
+  }
+
+  @Get()
+${docs([`@ApiOperation({ summary: 'List ${names.pluralLabel}' })`, `@ApiOkResponse({ description: 'The ${pagination ? 'paginated ' : ''}list of ${names.pluralLabel}.' })`])}${findAll}
+
+  @Get(':id')
+${docs([`@ApiOperation({ summary: 'Get a ${label}' })`, `@ApiOkResponse({ description: 'The ${label}.' })`, `@ApiNotFoundResponse({ description: 'The ${label} does not exist.' })`])}  findOne(${idParam}) {
+    return this.${propertyName}Service.findOne(id);
+  }
+
+  @Patch(':id')
+${docs([`@ApiOperation({ summary: 'Update a ${label}' })`, `@ApiOkResponse({ description: 'The ${label} has been updated.' })`, `@ApiNotFoundResponse({ description: 'The ${label} does not exist.' })`])}  update(${idParam}, @Body() update${entityClassName}Dto: Update${entityClassName}Dto) {
+    return this.${propertyName}Service.update(id, update${entityClassName}Dto);
+  }
+
+  @Delete(':id')
+${docs([`@ApiOperation({ summary: 'Remove a ${label}' })`, `@ApiOkResponse({ description: 'The ${label} has been removed.' })`, `@ApiNotFoundResponse({ description: 'The ${label} does not exist.' })`])}  async remove(${idParam}) {
+    await this.${propertyName}Service.remove(id);
+    // Plain strings are returned as the message of the response envelope
+    return '${names.sentenceLabel} removed successfully';
+  }
+}
+`;
+}
+
+/**
+ * Builds the service file.
+ * @param {Object} names The resource names.
+ * @param {Object} context The generation context.
+ * @returns {string} The file content.
+ */
+export function serviceTemplate(names, { pagination }) {
+  const { className, entityClassName, entityFileName, entityPropertyName, sentenceLabel } = names;
+  const dtoImports = `import { Create${entityClassName}Dto } from './dto/create-${entityFileName}.dto';
+import { Update${entityClassName}Dto } from './dto/update-${entityFileName}.dto';`;
+  const notFound = idExpression =>
+    `throw new NotFoundException(\`${sentenceLabel} \${${idExpression}} not found\`);`;
+
+  if (pagination === 'typeorm') {
+    const repository = `${entityPropertyName}Repository`;
+    return `import { Injectable, NotFoundException } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { PaginationDto } from '${PAGINATION_PATH}/pagination.dto';
+import { typeormPaginate } from '${PAGINATION_PATH}/typeorm.pagination.utility';
+${dtoImports}
+import { ${entityClassName} } from './entities/${entityFileName}.entity';
+
+@Injectable()
+export class ${className}Service {
+  constructor(
+    @InjectRepository(${entityClassName})
+    private readonly ${repository}: Repository<${entityClassName}>,
+  ) {}
+
+  create(create${entityClassName}Dto: Create${entityClassName}Dto) {
+    return this.${repository}.save(this.${repository}.create(create${entityClassName}Dto));
+  }
+
+  findAll(paginationDto: PaginationDto, link?: string) {
+    return typeormPaginate(paginationDto, this.${repository}, undefined, link);
+  }
+
+  async findOne(id: number) {
+    const ${entityPropertyName} = await this.${repository}.findOneBy({ id });
+    if (!${entityPropertyName}) ${notFound('id')}
+
+    return ${entityPropertyName};
+  }
+
+  async update(id: number, update${entityClassName}Dto: Update${entityClassName}Dto) {
+    const ${entityPropertyName} = await this.findOne(id);
+    return this.${repository}.save(this.${repository}.merge(${entityPropertyName}, update${entityClassName}Dto));
+  }
+
+  async remove(id: number) {
+    const ${entityPropertyName} = await this.findOne(id);
+    await this.${repository}.remove(${entityPropertyName});
+  }
+}
+`;
+  }
+
+  if (pagination === 'mongoose') {
+    const model = `${entityPropertyName}Model`;
+    return `import { Injectable, NotFoundException } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { Model } from 'mongoose';
+import { PaginationDto } from '${PAGINATION_PATH}/pagination.dto';
+import { mongoPaginate } from '${PAGINATION_PATH}/mongoose.pagination.utility';
+${dtoImports}
+import { ${entityClassName} } from './schemas/${entityFileName}.schema';
+
+@Injectable()
+export class ${className}Service {
+  constructor(
+    @InjectModel(${entityClassName}.name)
+    private readonly ${model}: Model<${entityClassName}>,
+  ) {}
+
+  create(create${entityClassName}Dto: Create${entityClassName}Dto) {
+    return this.${model}.create(create${entityClassName}Dto);
+  }
+
+  findAll(paginationDto: PaginationDto, link?: string) {
+    return mongoPaginate(paginationDto, this.${model}, {}, link);
+  }
+
+  async findOne(id: string) {
+    const ${entityPropertyName} = await this.${model}.findById(id).exec();
+    if (!${entityPropertyName}) ${notFound('id')}
+
+    return ${entityPropertyName};
+  }
+
+  async update(id: string, update${entityClassName}Dto: Update${entityClassName}Dto) {
+    const ${entityPropertyName} = await this.${model}
+      .findByIdAndUpdate(id, update${entityClassName}Dto, { new: true })
+      .exec();
+    if (!${entityPropertyName}) ${notFound('id')}
+
+    return ${entityPropertyName};
+  }
+
+  async remove(id: string) {
+    const ${entityPropertyName} = await this.${model}.findByIdAndDelete(id).exec();
+    if (!${entityPropertyName}) ${notFound('id')}
+  }
+}
+`;
+  }
+
+  // Without a pagination utility there's no persistence layer to rely on, so keep the
+  // records in memory until one is wired in.
+  return `import { Injectable, NotFoundException } from '@nestjs/common';
+${dtoImports}
+import { ${entityClassName} } from './entities/${entityFileName}.entity';
+
+@Injectable()
+export class ${className}Service {
+  private readonly ${names.propertyName}: ${entityClassName}[] = [];
+  private nextId = 1;
+
+  create(create${entityClassName}Dto: Create${entityClassName}Dto) {
+    const ${entityPropertyName}: ${entityClassName} = {
+      id: this.nextId++,
+      ...create${entityClassName}Dto,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    this.${names.propertyName}.push(${entityPropertyName});
+
+    return ${entityPropertyName};
+  }
+
+  findAll() {
+    return this.${names.propertyName};
+  }
+
+  findOne(id: number) {
+    const ${entityPropertyName} = this.${names.propertyName}.find(item => item.id === id);
+    if (!${entityPropertyName}) ${notFound('id')}
+
+    return ${entityPropertyName};
+  }
+
+  update(id: number, update${entityClassName}Dto: Update${entityClassName}Dto) {
+    const ${entityPropertyName} = this.findOne(id);
+
+    return Object.assign(${entityPropertyName}, update${entityClassName}Dto, { updatedAt: new Date() });
+  }
+
+  remove(id: number) {
+    const ${entityPropertyName} = this.findOne(id);
+    this.${names.propertyName}.splice(this.${names.propertyName}.indexOf(${entityPropertyName}), 1);
+  }
+}
+`;
+}
+
+/**
+ * Builds the entity file (TypeORM entity, or plain class when the project has no pagination utility).
+ * @param {Object} names The resource names.
+ * @param {Object} context The generation context.
+ * @returns {string} The file content.
+ */
+export function entityTemplate(names, { pagination }) {
+  const { entityClassName, fileName } = names;
+
+  if (pagination === 'typeorm') {
+    return `import { Column, CreateDateColumn, Entity, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm';
+
+@Entity('${fileName.replaceAll('-', '_')}')
+export class ${entityClassName} {
+  @PrimaryGeneratedColumn()
+  id: number;
+
+  @Column()
+  name: string;
+
+  @Column({ type: 'text', nullable: true })
+  description?: string;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
+`;
+  }
+
+  return `export class ${entityClassName} {
+  id: number;
+  name: string;
+  description?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+`;
+}
+
+/**
+ * Builds the Mongoose schema file.
+ * @param {Object} names The resource names.
+ * @returns {string} The file content.
+ */
+export function schemaTemplate(names) {
+  const { entityClassName } = names;
+
+  return `import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { HydratedDocument } from 'mongoose';
+
+export type ${entityClassName}Document = HydratedDocument<${entityClassName}>;
+
+@Schema({ timestamps: true })
+export class ${entityClassName} {
+  @Prop({ required: true })
+  name: string;
+
+  @Prop()
+  description?: string;
+}
+
+export const ${entityClassName}Schema = SchemaFactory.createForClass(${entityClassName});
+`;
+}
+
+/**
+ * Builds the create DTO file.
+ * @param {Object} names The resource names.
+ * @param {Object} context The generation context.
+ * @returns {string} The file content.
+ */
+export function createDtoTemplate(names, { swagger }) {
+  const { entityClassName, label } = names;
+  const imports = [
+    swagger && `import { ApiProperty, ApiPropertyOptional } from '@nestjs/swagger';`,
+    `import { IsNotEmpty, IsOptional, IsString, MaxLength } from 'class-validator';`,
+  ].filter(Boolean);
+
+  return `${imports.join('\n')}
+
+export class Create${entityClassName}Dto {
+${swagger ? `  @ApiProperty({ example: 'My ${label}', maxLength: 255 })\n` : ''}  @IsString()
+  @IsNotEmpty()
+  @MaxLength(255)
+  name: string;
+
+${swagger ? `  @ApiPropertyOptional({ example: 'A short description of the ${label}' })\n` : ''}  @IsOptional()
+  @IsString()
+  description?: string;
+}
+`;
+}
+
+/**
+ * Builds the update DTO file.
+ * @param {Object} names The resource names.
+ * @param {Object} context The generation context.
+ * @returns {string} The file content.
+ */
+export function updateDtoTemplate(names, { swagger }) {
+  const { entityClassName, entityFileName } = names;
+
+  // The Swagger flavour of `PartialType` keeps the API documentation of the create DTO
+  return `import { PartialType } from '${swagger ? '@nestjs/swagger' : '@nestjs/mapped-types'}';
+import { Create${entityClassName}Dto } from './create-${entityFileName}.dto';
+
+export class Update${entityClassName}Dto extends PartialType(Create${entityClassName}Dto) {}
+`;
+}
+
+/**
+ * Builds the controller spec file.
+ * @param {Object} names The resource names.
+ * @returns {string} The file content.
+ */
+export function controllerSpecTemplate(names) {
+  const { className, fileName } = names;
+
+  return `import { Test, TestingModule } from '@nestjs/testing';
+import { ${className}Controller } from './${fileName}.controller';
+import { ${className}Service } from './${fileName}.service';
+
+describe('${className}Controller', () => {
+  let controller: ${className}Controller;
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      controllers: [${className}Controller],
+      providers: [{ provide: ${className}Service, useValue: {} }],
+    }).compile();
+
+    controller = module.get<${className}Controller>(${className}Controller);
+  });
+
+  it('should be defined', () => {
+    expect(controller).toBeDefined();
+  });
+});
+`;
+}
+
+/**
+ * Builds the service spec file.
+ * @param {Object} names The resource names.
+ * @param {Object} context The generation context.
+ * @returns {string} The file content.
+ */
+export function serviceSpecTemplate(names, { pagination }) {
+  const { className, fileName, entityClassName, entityFileName } = names;
+
+  const persistence = {
+    typeorm: {
+      imports: [
+        `import { getRepositoryToken } from '@nestjs/typeorm';`,
+        `import { ${entityClassName} } from './entities/${entityFileName}.entity';`,
+      ],
+      provider: `{ provide: getRepositoryToken(${entityClassName}), useValue: {} }`,
+    },
+    mongoose: {
+      imports: [
+        `import { getModelToken } from '@nestjs/mongoose';`,
+        `import { ${entityClassName} } from './schemas/${entityFileName}.schema';`,
+      ],
+      provider: `{ provide: getModelToken(${entityClassName}.name), useValue: {} }`,
+    },
+  }[pagination];
+
+  const providers = [`${className}Service`, persistence?.provider].filter(Boolean);
+
+  return `import { Test, TestingModule } from '@nestjs/testing';
+${persistence ? `${persistence.imports.join('\n')}\n` : ''}import { ${className}Service } from './${fileName}.service';
+
+describe('${className}Service', () => {
+  let service: ${className}Service;
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [${providers.join(', ')}],
+    }).compile();
+
+    service = module.get<${className}Service>(${className}Service);
+  });
+
+  it('should be defined', () => {
+    expect(service).toBeDefined();
+  });
+});
+`;
+}
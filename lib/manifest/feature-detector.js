@@ -0,0 +1,160 @@
+import path from 'path';
+import { normalizeCode } from '../files/source-file.modifier.js';
+import { getPlugins, listPluginFiles } from '../plugins/plugin-registry.js';
+import { existsFile, readTextFile } from '../shell/shell.commands.js';
+
+/**
+ * Signals revealing that a feature is installed in a project. A feature is considered
+ * installed as soon as one of its signals is found:
+ * - `files`: Files created by the feature (relative to the project root).
+ * - `packages`: Dependencies only installed by the feature.
+ * - `registrations`: Code the feature registers in `src/main.ts`.
+ */
+const FEATURE_SIGNALS = {
+  core: { files: ['src/common/definitions/env.d.ts'] },
+  docker: { files: ['docker-compose.yml'] },
+  filter: {
+    files: ['src/common/filters/exception.filter.ts'],
+    registrations: ['new CustomExceptionFilter('],
+  },
+  pipe: { registrations: ['app.useGlobalPipes('] },
+  interceptor: {
+    files: ['src/common/interceptor/response-transformer.interceptor.ts'],
+    registrations: ['new ResponseTransformerInterceptor('],
+  },
+  swagger: {
+    files: ['src/configs/swagger.config.ts'],
+    registrations: ['swaggerConfiguration('],
+  },
+  cors: { files: ['src/security/cors.ts'], registrations: ['app.enableCors('] },
+  helmet: {
+    files: ['src/security/helmet.ts'],
+    packages: ['helmet'],
+    registrations: ['helmet(helmetConfig)'],
+  },
+  'fake-headers': {
+    files: ['src/security/custom-headers.Interceptor.ts'],
+    registrations: ['new CustomHeadersInterceptor('],
+  },
+  'user-definition': { files: ['src/common/definitions/request.d.ts'] },
+  database: { files: ['src/modules/database/database.module.ts'] },
+  pagination: {
+    files: [
+      'src/common/utils/pagination/typeorm.pagination.utility.ts',
+      'src/common/utils/pagination/mongoose.pagination.utility.ts',
+      'src/common/utils/pagination/prisma.pagination.utility.ts',
+    ],
+  },
+  cache: { files: ['src/modules/cache/cache.module.ts'], packages: ['@nestjs/cache-manager'] },
+  multer: { files: ['src/common/utils/multer/multer.config.ts'], packages: ['multer'] },
+  winston: {
+    files: ['src/modules/logger/logger.module.ts'],
+    packages: ['nest-winston'],
+    registrations: ['app.useLogger(appLogger)'],
+  },
+  prefix: { registrations: ['app.setGlobalPrefix('] },
+  versioning: { registrations: ['app.enableVersioning('] },
+};
+
+/**
+ * Detects the features already installed in a project, based on its manifest, its files,
+ * its package.json dependencies and the registrations in its `main.ts` file. The loaded plugins
+ * are detected through the files, dependencies and registrations declared in their manifest.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {Object} [manifest] The project manifest, if any.
+ * @returns {Promise<Set<string>>} The identifiers of the installed features.
+ */
+export async function detectInstalledFeatures(projectPath, manifest) {
+  projectPath = projectPath.replaceAll('\\', ''); // Ensure correct file path formatting across OS
+
+  const installed = new Set(Object.keys(manifest?.features ?? {}));
+  const dependencies = await readDependencies(projectPath);
+  const mainFile = normalizeCode(await readOptionalFile(path.join(projectPath, 'src/main.ts')));
+
+  const signalsByFeature = { ...FEATURE_SIGNALS, ...getPluginSignals() };
+  for (const [feature, signals] of Object.entries(signalsByFeature)) {
+    if (installed.has(feature)) continue;
+
+    const { files = [], packages = [], registrations = [] } = signals;
+
+    const found =
+      packages.some(name => dependencies.includes(name)) ||
+      registrations.some(code => mainFile.includes(normalizeCode(code))) ||
+      (await someAsync(files, file => existsFile(path.join(projectPath, file))));
+
+    if (found) installed.add(feature);
+  }
+
+  // Tab indentation is a prettier setting rather than a set of files
+  const prettierConfig = await readOptionalFile(path.join(projectPath, '.prettierrc'));
+  if (/"useTabs"\s*:\s*true/.test(prettierConfig)) installed.add('prettier-tabs');
+
+  return installed;
+}
+
+/**
+ * Builds the signals of the loaded plugins from their manifest. Paths and code depending on
+ * the answers to the plugin prompts (`{{ name }}` placeholders) can't be predicted, so they're ignored.
+ *
+ * @returns {Object<string, Object>} The signals, keyed by plugin identifier (see `FEATURE_SIGNALS`).
+ */
+function getPluginSignals() {
+  const isStatic = text => !text.includes('{{');
+
+  return Object.fromEntries(
+    getPlugins().map(plugin => [
+      plugin.id,
+      {
+        files: listPluginFiles(plugin)
+          .map(file => file.target)
+          .filter(isStatic),
+        // Drop the version ranges (e.g. `zod@^3`)
+        packages: plugin.dependencies.map(dependency => dependency.replace(/(.)@.*$/, '$1')),
+        registrations: (plugin.main?.statements ?? []).filter(isStatic),
+      },
+    ]),
+  );
+}
+
+/**
+ * Checks whether at least one item of a list passes an asynchronous test.
+ *
+ * @param {any[]} items The items to test.
+ * @param {Function} test The asynchronous test.
+ * @returns {Promise<boolean>} `true` if an item passes the test.
+ */
+async function someAsync(items, test) {
+  for (const item of items) {
+    if (await test(item)) return true;
+  }
+  return false;
+}
+
+/**
+ * Lists the dependencies declared in the project's package.json file.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @returns {Promise<string[]>} The names of the regular and development dependencies.
+ */
+async function readDependencies(projectPath) {
+  const content = await readOptionalFile(path.join(projectPath, 'package.json'));
+  const packageJson = content ? JSON.parse(content) : {};
+
+  return Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies });
+}
+
+/**
+ * Reads a text file, returning an empty string if it doesn't exist.
+ *
+ * @param {string} filePath The path of the file.
+ * @returns {Promise<string>} The file content.
+ */
+async function readOptionalFile(filePath) {
+  try {
+    return await readTextFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
@@ -0,0 +1,66 @@
+// Files and packages collected for each feature while it is being applied.
+const tracker = {
+  feature: undefined, // The feature currently being applied.
+  features: {}, // Collected artifacts, grouped by feature.
+};
+
+/**
+ * Runs a task while attributing every file and package it creates to the given feature.
+ *
+ * @param {string} feature The feature identifier (e.g. `swagger`, `docker`, `core`).
+ * @param {Function} task The task applying the feature.
+ * @returns {Promise<any>} The task result.
+ */
+export async function trackFeature(feature, task) {
+  const previousFeature = tracker.feature;
+
+  tracker.feature = feature;
+  tracker.features[feature] ??= { files: [], packages: [], devPackages: [] };
+
+  try {
+    return await task();
+  } finally {
+    tracker.feature = previousFeature;
+  }
+}
+
+/**
+ * Records files created for the feature currently being applied.
+ *
+ * @param {string[]} files The absolute paths of the created files.
+ */
+export function recordFiles(files) {
+  if (!tracker.feature) return;
+
+  const entry = tracker.features[tracker.feature];
+  for (const file of files) {
+    if (!entry.files.includes(file)) entry.files.push(file);
+  }
+}
+
+/**
+ * Records packages installed for the feature currently being applied.
+ *
+ * @param {string[]} packages The installed dependencies.
+ * @param {string[]} devPackages The installed development dependencies.
+ */
+export function recordPackages(packages, devPackages) {
+  if (!tracker.feature) return;
+
+  const entry = tracker.features[tracker.feature];
+  entry.packages = [...new Set([...entry.packages, ...packages])];
+  entry.devPackages = [...new Set([...entry.devPackages, ...devPackages])];
+}
+
+/**
+ * Returns the artifacts collected so far and resets the tracker, so a later run starts
+ * from a clean state.
+ *
+ * @returns {Object<string, { files: string[], packages: string[], devPackages: string[] }>}
+ * The collected artifacts, grouped by feature.
+ */
+export function consumeTrackedFeatures() {
+  const { features } = tracker;
+  tracker.features = {};
+  return features;
+}
@@ -0,0 +1,202 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { FEATURE_FLAGS, SECURITY_FLAGS } from '../functions/init-flags.js';
+import { getPlugin } from '../plugins/plugin-registry.js';
+import { readTextFile, writeTextFile } from '../shell/shell.commands.js';
+import { consumeTrackedFeatures } from './feature-tracker.js';
+
+// Name of the manifest file written at the root of generated projects.
+export const MANIFEST_FILE = '.nestcraft.json';
+
+/**
+ * Reads the manifest of a project.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @returns {Promise<Object|undefined>} The manifest, or `undefined` if the project doesn't have one.
+ * @throws {Error} If the manifest exists but isn't valid JSON.
+ */
+export async function readManifest(projectPath) {
+  const manifestPath = path.join(projectPath.replaceAll('\\', ''), MANIFEST_FILE);
+
+  let content;
+  try {
+    content = await readTextFile(manifestPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${MANIFEST_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Creates or updates the manifest of a project with the features applied during the current
+ * run. Existing entries are kept, so the manifest always describes every applied feature.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {string} packageManager The package manager used by the project.
+ * @param {Object} options The options of the current run (as returned by `collectOptions()`).
+ * @returns {Promise<Object>} The written manifest.
+ */
+export async function updateManifest(projectPath, packageManager, options) {
+  projectPath = projectPath.replaceAll('\\', ''); // Ensure correct file path formatting across OS
+
+  const now = new Date().toISOString();
+  const manifest = (await readManifest(projectPath)) ?? { createdAt: now, features: {} };
+
+  manifest.nestCraftVersion = getNestCraftVersion();
+  manifest.packageManager = packageManager;
+  manifest.updatedAt = now;
+
+  const trackedFeatures = consumeTrackedFeatures();
+  for (const [feature, details] of Object.entries(getFeatureDetails(options))) {
+    const tracked = trackedFeatures[feature] ?? { files: [], packages: [], devPackages: [] };
+    const existing = manifest.features[feature] ?? { files: [], packages: [], devPackages: [] };
+
+    manifest.features[feature] = {
+      ...existing,
+      ...details,
+      files: mergeLists(
+        existing.files,
+        tracked.files.map(file => path.relative(projectPath, file)),
+      ),
+      packages: mergeLists(existing.packages, tracked.packages),
+      devPackages: mergeLists(existing.devPackages, tracked.devPackages),
+      updatedAt: now,
+    };
+  }
+
+  await writeTextFile(
+    path.join(projectPath, MANIFEST_FILE),
+    `${JSON.stringify(sortManifest(manifest), null, 2)}\n`,
+  );
+
+  return manifest;
+}
+
+/**
+ * Records a generated resource in the manifest of a project, creating the manifest if needed.
+ *
+ * @param {string} projectPath The absolute path to the project directory.
+ * @param {string} packageManager The package manager used by the project.
+ * @param {string} name The resource name (its directory under `src/modules`).
+ * @param {Object} details The resource details.
+ * @param {string[]} details.files The absolute paths of the generated files.
+ * @param {string} [details.pagination] The pagination utility used by the resource.
+ * @param {boolean} details.swagger Whether the resource is documented with Swagger.
+ * @returns {Promise<Object>} The written manifest.
+ */
+export async function recordResource(projectPath, packageManager, name, details) {
+  projectPath = projectPath.replaceAll('\\', ''); // Ensure correct file path formatting across OS
+
+  const now = new Date().toISOString();
+  const manifest = (await readManifest(projectPath)) ?? { createdAt: now, features: {} };
+
+  manifest.nestCraftVersion = getNestCraftVersion();
+  manifest.packageManager = packageManager;
+  manifest.updatedAt = now;
+  manifest.resources = {
+    ...manifest.resources,
+    [name]: {
+      pagination: details.pagination,
+      swagger: details.swagger,
+      files: details.files.map(file => path.relative(projectPath, file)),
+      createdAt: now,
+    },
+  };
+
+  await writeTextFile(
+    path.join(projectPath, MANIFEST_FILE),
+    `${JSON.stringify(sortManifest(manifest), null, 2)}\n`,
+  );
+
+  return manifest;
+}
+
+/**
+ * Lists the features enabled by the given options along with their specific details.
+ *
+ * @param {Object} options The options of the current run.
+ * @returns {Object<string, Object>} The enabled features, keyed by feature identifier.
+ */
+function getFeatureDetails(options) {
+  // Core files (configs, definitions, base packages) are part of every run.
+  const features = { core: {} };
+
+  for (const [feature, option] of Object.entries(FEATURE_FLAGS)) {
+    if (options[option]) features[feature] = {};
+  }
+
+  if (options.securityOptions?.enabled) {
+    for (const [feature, selection] of Object.entries(SECURITY_FLAGS)) {
+      if (options.securityOptions.selections.includes(selection)) features[feature] = {};
+    }
+  }
+
+  if (options.databaseType) features.database = { type: options.databaseType };
+  if (options.paginationType) features.pagination = { type: options.paginationType };
+  if (options.cacheMode) features.cache = { mode: options.cacheMode };
+
+  if (options.dockerComposeConfig?.status) {
+    features.docker = {
+      services: options.dockerComposeConfig.services,
+      network: options.dockerComposeConfig.network || undefined,
+      ports: options.dockerComposeConfig.ports,
+      tags: options.dockerComposeConfig.tags,
+      namespace: options.dockerComposeConfig.namespace || undefined,
+      secrets: options.dockerComposeConfig.secrets || undefined,
+    };
+  }
+
+  if (options.prefix) features.prefix = { value: options.prefix };
+  if (options.apiVersioning) features.versioning = { type: 'uri' };
+  if (options.prettier) features['prettier-tabs'] = {};
+
+  // Plugins record where they come from, so the project documents what it needs to be rebuilt
+  for (const [id, answers] of Object.entries(options.plugins ?? {})) {
+    features[id] = { plugin: getPlugin(id).source, answers };
+  }
+
+  return features;
+}
+
+/**
+ * Merges two lists, dropping duplicates.
+ *
+ * @param {string[]} [first=[]] The first list.
+ * @param {string[]} [second=[]] The second list.
+ * @returns {string[]} The merged list.
+ */
+function mergeLists(first = [], second = []) {
+  return [...new Set([...first, ...second])];
+}
+
+/**
+ * Orders the manifest keys so the file stays stable and readable across updates.
+ *
+ * @param {Object} manifest The manifest.
+ * @returns {Object} The ordered manifest.
+ */
+function sortManifest({
+  nestCraftVersion,
+  packageManager,
+  createdAt,
+  updatedAt,
+  features,
+  ...rest
+}) {
+  return { nestCraftVersion, packageManager, createdAt, updatedAt, ...rest, features };
+}
+
+/**
+ * Reads the current Nest Craft version from its package.json file.
+ *
+ * @returns {string} The Nest Craft version.
+ */
+function getNestCraftVersion() {
+  return JSON.parse(readFileSync(new URL('../../package.json', import.meta.url))).version;
+}
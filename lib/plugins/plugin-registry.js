@@ -0,0 +1,301 @@
+import Ajv from 'ajv';
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FEATURE_FLAGS, SECURITY_FLAGS } from '../functions/init-flags.js';
+import { mainProjectPath } from '../functions/main-project-path.js';
+
+// Directory holding the local plugins of the current user, one plugin per subdirectory.
+export const PLUGINS_DIRECTORY = path.join(os.homedir(), '.nest-craft', 'plugins');
+
+// Name of the manifest file describing a plugin, at the plugin root.
+export const PLUGIN_MANIFEST = 'nest-craft-plugin.json';
+
+// Prefix of the npm packages discovered as plugins (optionally scoped).
+const PLUGIN_PACKAGE_PREFIX = 'nest-craft-feature-';
+
+// Identifiers of the built-in features, which plugins can't reuse.
+const BUILT_IN_FEATURES = [
+  'core',
+  'docker',
+  'pagination',
+  'prettier-tabs',
+  'prefix',
+  'versioning',
+  ...Object.keys(FEATURE_FLAGS),
+  ...Object.keys(SECURITY_FLAGS),
+];
+
+// Compiled validator of the published plugin schema.
+const validateManifest = new Ajv({ allErrors: true }).compile(
+  JSON.parse(readFileSync(new URL('../../schemas/plugin.schema.json', import.meta.url))),
+);
+
+// Plugins loaded by the last `loadPlugins()` call, keyed by feature identifier.
+const registry = new Map();
+
+/**
+ * Discovers and loads the feature plugins, replacing the previously loaded ones.
+ *
+ * Plugins are looked up, in order of precedence, in:
+ * - The paths passed through the `--plugin` flag.
+ * - The subdirectories of `~/.nest-craft/plugins`.
+ * - The `nest-craft-feature-*` (and `@scope/nest-craft-feature-*`) packages installed in the
+ *   project, in the current directory, or next to Nest Craft itself.
+ *
+ * When several plugins declare the same identifier, the first one found is used.
+ *
+ * @param {string[]} [pluginPaths=[]] The plugin paths passed through the command-line flags.
+ * @param {string} [projectPath] The absolute path to the target project, if it already exists.
+ * @returns {Object[]} The loaded plugins.
+ * @throws {Error} If a plugin path doesn't hold a plugin, or a plugin manifest is invalid.
+ */
+export function loadPlugins(pluginPaths = [], projectPath = undefined) {
+  registry.clear();
+
+  const candidates = [
+    ...pluginPaths.map(pluginPath => ({ root: resolveUserPath(pluginPath), required: true })),
+    ...listDirectories(PLUGINS_DIRECTORY).map(root => ({ root })),
+    ...getNodeModulesDirectories(projectPath).flatMap(findPluginPackages),
+  ];
+
+  for (const { root, required, packageName } of candidates) {
+    const manifestPath = path.join(root, PLUGIN_MANIFEST);
+    if (!existsSync(manifestPath)) {
+      if (required) throw new Error(`No ${PLUGIN_MANIFEST} found in plugin path "${root}".`);
+      continue;
+    }
+
+    const plugin = readPlugin(manifestPath, packageName ?? root);
+    if (!registry.has(plugin.id)) registry.set(plugin.id, plugin);
+  }
+
+  return getPlugins();
+}
+
+/**
+ * Lists the loaded plugins.
+ * @returns {Object[]} The loaded plugins, in discovery order.
+ */
+export function getPlugins() {
+  return [...registry.values()];
+}
+
+/**
+ * Gets a loaded plugin by its identifier.
+ *
+ * @param {string} id The plugin identifier.
+ * @returns {Object} The plugin.
+ * @throws {Error} If no loaded plugin has this identifier.
+ */
+export function getPlugin(id) {
+  const plugin = registry.get(id);
+
+  if (!plugin) {
+    const available = [...registry.keys()];
+    throw new Error(
+      `Unknown plugin "${id}". ${available.length ? `Use any of: ${available.join(', ')}.` : 'No plugin is installed.'}`,
+    );
+  }
+
+  return plugin;
+}
+
+/**
+ * Replaces the `{{ name }}` placeholders of a text with the answers to the plugin prompts.
+ * Placeholders that don't match a prompt are left untouched.
+ *
+ * @param {string} text The text.
+ * @param {Object} answers The answers, keyed by prompt name.
+ * @returns {string} The rendered text.
+ */
+export function renderTemplate(text, answers) {
+  return text.replace(/\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g, (placeholder, name) =>
+    Object.hasOwn(answers, name) ? String(answers[name]) : placeholder,
+  );
+}
+
+/**
+ * Lists the template files of a plugin, expanding its template directories.
+ *
+ * @param {Object} plugin The plugin.
+ * @param {Object} [answers={}] The answers to the plugin prompts, used to render the targets.
+ * @returns {{ source: string, target: string }[]} The absolute path of each template file and
+ * its target path, relative to the project root.
+ */
+export function listPluginFiles(plugin, answers = {}) {
+  return plugin.files.flatMap(file => {
+    const source = path.join(plugin.root, file.source);
+    const target = renderTemplate(file.target, answers);
+
+    if (!statSync(source).isDirectory()) return [{ source, target }];
+
+    return readdirSync(source, { recursive: true, withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => {
+        const templatePath = path.join(entry.parentPath ?? entry.path, entry.name);
+        return {
+          source: templatePath,
+          target: path.join(target, path.relative(source, templatePath)),
+        };
+      });
+  });
+}
+
+/**
+ * Reads and validates a plugin manifest.
+ *
+ * @param {string} manifestPath The path of the manifest.
+ * @param {string} source The package name or path the plugin was loaded from.
+ * @returns {Object} The plugin: its manifest with defaults, its `root` directory and its `source`.
+ * @throws {Error} If the manifest is invalid.
+ */
+function readPlugin(manifestPath, source) {
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Plugin "${source}" has an invalid ${PLUGIN_MANIFEST}: ${error.message}`);
+  }
+
+  if (!validateManifest(manifest)) {
+    const details = validateManifest.errors
+      .map(({ instancePath, message }) => `${instancePath || '/'} ${message}`)
+      .join('; ');
+    throw new Error(`Plugin "${source}" does not match the plugin schema: ${details}`);
+  }
+
+  if (BUILT_IN_FEATURES.includes(manifest.id)) {
+    throw new Error(
+      `Plugin "${source}" uses the identifier of the built-in "${manifest.id}" feature.`,
+    );
+  }
+
+  const root = path.dirname(manifestPath);
+  const plugin = {
+    prompts: [],
+    files: [],
+    dependencies: [],
+    devDependencies: [],
+    env: {},
+    modules: [],
+    ...manifest,
+    root,
+    source,
+  };
+
+  // Keep the templates inside the plugin and the generated files inside the project
+  for (const file of plugin.files) {
+    if (isOutsidePath(file.source) || isOutsidePath(file.target)) {
+      throw new Error(
+        `Plugin "${source}" copies "${file.source}" to "${file.target}", outside of the plugin or the project.`,
+      );
+    }
+  }
+
+  // Fail early on missing templates, rather than halfway through a run
+  for (const file of plugin.files) {
+    if (!existsSync(path.join(root, file.source))) {
+      throw new Error(`Plugin "${source}" references the missing template "${file.source}".`);
+    }
+  }
+
+  for (const prompt of plugin.prompts) {
+    if (prompt.type === 'select' && !prompt.options?.length) {
+      throw new Error(
+        `Plugin "${source}" declares the select prompt "${prompt.name}" without options.`,
+      );
+    }
+  }
+
+  return plugin;
+}
+
+/**
+ * Checks whether a relative path points outside of the directory it's relative to.
+ *
+ * @param {string} relativePath The relative path.
+ * @returns {boolean} `true` if the path is absolute or leaves its directory.
+ */
+function isOutsidePath(relativePath) {
+  const normalizedPath = path.normalize(relativePath);
+  return (
+    path.isAbsolute(normalizedPath) ||
+    normalizedPath === '..' ||
+    normalizedPath.startsWith(`..${path.sep}`)
+  );
+}
+
+/**
+ * Lists the `node_modules` directories that may hold plugin packages.
+ *
+ * @param {string} [projectPath] The absolute path to the target project.
+ * @returns {string[]} The existing `node_modules` directories, without duplicates.
+ */
+function getNodeModulesDirectories(projectPath) {
+  const directories = [projectPath, process.cwd()]
+    .filter(Boolean)
+    .map(directory => path.join(directory, 'node_modules'));
+
+  // Packages installed alongside Nest Craft (e.g. globally)
+  const nestCraftRoot = path.resolve(mainProjectPath(import.meta.url), '../..');
+  if (path.basename(path.dirname(nestCraftRoot)) === 'node_modules') {
+    directories.push(path.dirname(nestCraftRoot));
+  }
+
+  return [...new Set(directories)].filter(directory => existsSync(directory));
+}
+
+/**
+ * Finds the plugin packages of a `node_modules` directory.
+ *
+ * @param {string} nodeModules The `node_modules` directory.
+ * @returns {{ root: string, packageName: string }[]} The plugin packages.
+ */
+function findPluginPackages(nodeModules) {
+  const packages = [];
+
+  for (const entry of listDirectories(nodeModules)) {
+    const name = path.basename(entry);
+
+    if (name.startsWith(PLUGIN_PACKAGE_PREFIX)) {
+      packages.push({ root: entry, packageName: name });
+    } else if (name.startsWith('@')) {
+      for (const scopedEntry of listDirectories(entry)) {
+        if (path.basename(scopedEntry).startsWith(PLUGIN_PACKAGE_PREFIX)) {
+          packages.push({
+            root: scopedEntry,
+            packageName: `${name}/${path.basename(scopedEntry)}`,
+          });
+        }
+      }
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Lists the subdirectories of a directory, following symbolic links (e.g. `npm link`).
+ *
+ * @param {string} directory The directory.
+ * @returns {string[]} The absolute paths of the subdirectories, empty if the directory doesn't exist.
+ */
+function listDirectories(directory) {
+  if (!existsSync(directory)) return [];
+
+  return readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+    .map(entry => path.join(directory, entry.name))
+    .sort();
+}
+
+/**
+ * Resolves a path passed by the user, expanding a leading `~`.
+ *
+ * @param {string} userPath The path.
+ * @returns {string} The absolute path.
+ */
+function resolveUserPath(userPath) {
+  return path.resolve(userPath.startsWith('~') ? userPath.replace('~', os.homedir()) : userPath);
+}
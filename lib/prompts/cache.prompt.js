@@ -0,0 +1,33 @@
+import { booleanPrompt } from './boolean.prompt.js';
+import { cancelPrompt } from './cancel.prompt.js';
+import { selectPrompt } from './select.prompt.js';
+
+/**
+ * Prompts the user to determine if a cache module is required and, if so, which responses it
+ * should cache.
+ *
+ * @param {boolean} [confirmed=false] Whether the user already asked for a cache module, skipping the first question.
+ * @returns {Promise<string|undefined>} The selected cache mode:
+ * - `global` to cache every GET route with a global interceptor,
+ * - `decorator` to cache the routes using `@Cacheable()` only,
+ * - `undefined` for None.
+ */
+export async function promptCacheMode(confirmed = false) {
+  // Ask if the user needs a cache module.
+  const cacheRequired = confirmed || (await booleanPrompt('Do you need a Cache Module?'));
+
+  // If no cache module is required, return undefined.
+  if (!cacheRequired) return undefined;
+
+  // Ask which responses should be cached.
+  const cacheMode = await selectPrompt('Which responses should be cached?', [
+    { value: 'global', label: 'Every GET route (global CacheInterceptor)' },
+    { value: 'decorator', label: 'Only the routes using @Cacheable()' },
+    { value: undefined, label: 'None' },
+  ]);
+
+  // Handle cancellation during the prompt.
+  cancelPrompt(cacheMode);
+
+  return cacheMode;
+}
@@ -0,0 +1,32 @@
+import { booleanPrompt } from './boolean.prompt.js';
+import { cancelPrompt } from './cancel.prompt.js';
+import { selectPrompt } from './select.prompt.js';
+
+/**
+ * Prompts the user to determine if a database module is required and, if so, which ORM and
+ * database it should connect with.
+ *
+ * @param {boolean} [confirmed=false] Whether the user already asked for a database module, skipping the first question.
+ * @returns {Promise<string|undefined>} The selected database setup (e.g., `typeorm-postgresql`),
+ * or `undefined` for None.
+ */
+export async function promptDatabaseType(confirmed = false) {
+  // Ask if the user needs a database module.
+  const databaseRequired = confirmed || (await booleanPrompt('Do you need a Database Module?'));
+
+  // If no database module is required, return undefined.
+  if (!databaseRequired) return undefined;
+
+  // Ask which ORM and database the module connects with.
+  const databaseType = await selectPrompt('Which database do you need?', [
+    { value: 'typeorm-postgresql', label: 'TypeORM with PostgreSQL' },
+    { value: 'typeorm-mysql', label: 'TypeORM with MySQL' },
+    { value: 'mongoose', label: 'Mongoose with MongoDB' },
+    { value: undefined, label: 'None' },
+  ]);
+
+  // Handle cancellation during the prompt.
+  cancelPrompt(databaseType);
+
+  return databaseType;
+}
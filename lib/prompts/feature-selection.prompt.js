@@ -0,0 +1,94 @@
+import { multiselect } from '@clack/prompts';
+import { selectDockerServices } from '../docker/service-selector.js';
+import { FEATURE_FLAGS, SECURITY_FLAGS } from '../functions/init-flags.js';
+import { getPlugins } from '../plugins/plugin-registry.js';
+import { promptCacheMode } from './cache.prompt.js';
+import { cancelPrompt } from './cancel.prompt.js';
+import { promptDatabaseType } from './database.prompt.js';
+import { promptGlobalPrefix } from './global-prefix.prompt.js';
+import { promptPaginationType } from './pagination.prompt.js';
+import { collectPluginAnswers } from './plugin-options.prompt.js';
+
+// Features that can be added to an existing project, keyed by their manifest identifier.
+const FEATURE_CATALOG = [
+  { value: 'docker', label: 'Docker Compose file' },
+  { value: 'filter', label: 'Custom Exception Filter' },
+  { value: 'pipe', label: 'Custom Unprocessable Entity Pipe' },
+  { value: 'interceptor', label: 'Custom Response Interceptor' },
+  { value: 'swagger', label: 'Swagger config' },
+  { value: 'cors', label: 'CORS' },
+  { value: 'helmet', label: 'Helmet' },
+  { value: 'fake-headers', label: 'Fake tech stack headers' },
+  { value: 'user-definition', label: 'User Definition for `request.user`' },
+  { value: 'database', label: 'Database module' },
+  { value: 'pagination', label: 'Pagination Utility' },
+  { value: 'cache', label: 'Cache module' },
+  { value: 'multer', label: 'Multer File Uploader' },
+  { value: 'winston', label: 'Winston Logger' },
+  { value: 'prettier-tabs', label: 'Prettier tab indentation' },
+  { value: 'prefix', label: 'Global API prefix' },
+  { value: 'versioning', label: 'API versioning' },
+];
+
+/**
+ * Prompts the user to select the features to add to an existing project, then collects the
+ * details of the selected ones (Docker services, database, pagination type, cache mode, prefix, plugin prompts).
+ * The loaded plugins are listed after the built-in features.
+ *
+ * Features that are already installed are flagged in the list. Selecting one of them
+ * re-applies it without duplicating its files, environment variables or registrations.
+ *
+ * @param {Set<string>} installedFeatures The identifiers of the features already installed.
+ * @returns {Promise<{ selectedFeatures: string[], options: Object }>} The identifiers of the
+ * selected features, and their options using the same keys as the object returned by `collectOptions()`.
+ */
+export async function promptFeatureSelection(installedFeatures) {
+  const plugins = getPlugins();
+  const pluginFeatures = plugins.map(plugin => ({
+    value: plugin.id,
+    label: plugin.name,
+    hint: 'plugin',
+  }));
+
+  const selectedFeatures = await multiselect({
+    message: 'Select the features you want to add:',
+    options: [...FEATURE_CATALOG, ...pluginFeatures].map(feature =>
+      installedFeatures.has(feature.value) ? { ...feature, hint: 'already installed' } : feature,
+    ),
+    required: false, // allow users to skip selection.
+  });
+
+  // Handle cancellation if the user aborts during the multi-select prompt.
+  cancelPrompt(selectedFeatures);
+
+  const selected = new Set(selectedFeatures);
+
+  const securitySelections = Object.entries(SECURITY_FLAGS)
+    .filter(([feature]) => selected.has(feature))
+    .map(([, selection]) => selection);
+
+  const pluginOptions = {};
+  for (const plugin of plugins.filter(plugin => selected.has(plugin.id))) {
+    pluginOptions[plugin.id] = await collectPluginAnswers(plugin);
+  }
+
+  const options = {
+    dockerComposeConfig: selected.has('docker')
+      ? await selectDockerServices(true)
+      : { status: false },
+    ...Object.fromEntries(
+      Object.entries(FEATURE_FLAGS).map(([feature, option]) => [option, selected.has(feature)]),
+    ),
+    securityOptions: { enabled: securitySelections.length > 0, selections: securitySelections },
+    databaseType: selected.has('database') ? await promptDatabaseType(true) : undefined,
+    paginationType: selected.has('pagination') ? await promptPaginationType(true) : undefined,
+    cacheMode: selected.has('cache') ? await promptCacheMode(true) : undefined,
+    prettier: selected.has('prettier-tabs'),
+    prefix: selected.has('prefix') ? await promptGlobalPrefix(true) : undefined,
+    apiVersioning: selected.has('versioning'),
+    plugins: pluginOptions,
+    nestOptions: '',
+  };
+
+  return { selectedFeatures, options };
+}
@@ -9,13 +9,13 @@ import { textPrompt } from './text.prompt.js';
  * 1. Ask whether a global prefix should be enabled.
  * 2. If the user agrees, ask them to provide the prefix text.
  *
+ * @param {boolean} [confirmed=false] Whether the user already asked for a global prefix, skipping the first question.
  * @returns {Promise<string|undefined>} The chosen prefix string, or `undefined` when no global prefix is desired.
  */
-export async function promptGlobalPrefix() {
+export async function promptGlobalPrefix(confirmed = false) {
   // Determine whether the user wants to configure a global prefix at all.
-  const shouldSetGlobalPrefix = await booleanPrompt(
-    'Do you want to set a global prefix for your APIs?',
-  );
+  const shouldSetGlobalPrefix =
+    confirmed || (await booleanPrompt('Do you want to set a global prefix for your APIs?'));
 
   // If the feature is declined, return `undefined` so callers can skip related logic.
   if (!shouldSetGlobalPrefix) return undefined;
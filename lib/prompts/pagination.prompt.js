@@ -6,16 +6,19 @@ import { selectPrompt } from './select.prompt.js';
  * Prompts the user to determine if pagination is required and, if so, which ORM or ODM should be used for pagination.
  *
  * This function first asks if pagination is needed. If the user selects "Yes", it then asks which ORM or ODM should
- * be used for pagination (e.g., TypeORM, Mongoose, or None).
+ * be used for pagination (e.g., TypeORM, Mongoose, Prisma, or None).
  *
+ * @param {boolean} [confirmed=false] Whether the user already asked for a pagination utility, skipping the first question.
  * @returns {Promise<string|undefined>} The selected pagination type:
  * - `typeorm` for TypeORM,
  * - `mongoose` for Mongoose,
+ * - `prisma` for Prisma,
  * - `undefined` for None (if pagination is not needed).
  */
-export async function promptPaginationType() {
+export async function promptPaginationType(confirmed = false) {
   // Ask if the user needs a Pagination Utility.
-  const paginationRequired = await booleanPrompt('Do you need a Pagination Utility?');
+  const paginationRequired =
+    confirmed || (await booleanPrompt('Do you need a Pagination Utility?'));
 
   // If pagination is not required, return undefined.
   if (!paginationRequired) return undefined;
@@ -24,12 +27,13 @@ export async function promptPaginationType() {
   const paginationType = await selectPrompt('Which ORM or ODM do you need for pagination?', [
     { value: 'typeorm', label: 'TypeORM' }, // Option for TypeORM.
     { value: 'mongoose', label: 'Mongoose' }, // Option for Mongoose.
+    { value: 'prisma', label: 'Prisma' }, // Option for Prisma.
     { value: undefined, label: 'None' }, // Option for no ORM/ODM (None).
   ]);
 
   // Handle cancellation during the prompt.
   cancelPrompt(paginationType);
 
-  // Return the selected pagination type (could be 'typeorm', 'mongoose', or undefined).
+  // Return the selected pagination type (could be 'typeorm', 'mongoose', 'prisma', or undefined).
   return paginationType;
 }
@@ -0,0 +1,141 @@
+import { multiselect } from '@clack/prompts';
+import { getPlugin, getPlugins } from '../plugins/plugin-registry.js';
+import { booleanPrompt } from './boolean.prompt.js';
+import { cancelPrompt } from './cancel.prompt.js';
+import { selectPrompt } from './select.prompt.js';
+import { textPrompt } from './text.prompt.js';
+
+/**
+ * Collects the plugins to apply to a new project and the answers to their prompts.
+ *
+ * @param {Object<string, Object>} [provided] The plugins provided through the command-line
+ * flags or a preset, keyed by identifier, with the answers already known. `undefined` to
+ * prompt for the plugins to apply.
+ * @param {boolean} [useDefaults=false] Whether missing answers should use their default value
+ * instead of prompting. No plugin is applied unless it's explicitly provided.
+ * @returns {Promise<Object<string, Object>>} The answers of the selected plugins, keyed by identifier.
+ * @throws {Error} If a provided plugin isn't installed or an answer is invalid.
+ */
+export async function collectPluginOptions(provided, useDefaults = false) {
+  let selected = provided;
+
+  if (selected === undefined) {
+    const plugins = getPlugins();
+    if (useDefaults || !plugins.length) return {};
+
+    const selectedPlugins = await multiselect({
+      message: 'Select the plugin features you want to add:',
+      options: plugins.map(plugin => ({
+        value: plugin.id,
+        label: plugin.name,
+        hint: plugin.description,
+      })),
+      required: false, // allow users to skip selection.
+    });
+
+    // Handle cancellation if the user aborts during the multi-select prompt.
+    cancelPrompt(selectedPlugins);
+
+    selected = Object.fromEntries(selectedPlugins.map(id => [id, {}]));
+  }
+
+  const options = {};
+  for (const [id, answers] of Object.entries(selected)) {
+    options[id] = await collectPluginAnswers(getPlugin(id), answers, useDefaults);
+  }
+
+  return options;
+}
+
+/**
+ * Resolves the answers to the prompts of a plugin, prompting only for the missing ones.
+ *
+ * @param {Object} plugin The plugin (see `loadPlugins()`).
+ * @param {Object} [provided={}] The answers already known, keyed by prompt name.
+ * @param {boolean} [useDefaults=false] Whether missing answers should use their default value.
+ * @returns {Promise<Object>} The answers, keyed by prompt name.
+ * @throws {Error} If a provided answer doesn't match its prompt.
+ */
+export async function collectPluginAnswers(plugin, provided = {}, useDefaults = false) {
+  const answers = {};
+
+  for (const prompt of plugin.prompts) {
+    const value = provided[prompt.name];
+
+    if (value !== undefined) {
+      validateAnswer(plugin, prompt, value);
+      answers[prompt.name] = value;
+    } else if (useDefaults) {
+      answers[prompt.name] = getDefaultAnswer(prompt);
+    } else {
+      answers[prompt.name] = await askPrompt(plugin, prompt);
+    }
+  }
+
+  return answers;
+}
+
+/**
+ * Displays a plugin prompt.
+ *
+ * @param {Object} plugin The plugin.
+ * @param {Object} prompt The prompt declared in the plugin manifest.
+ * @returns {Promise<string|boolean>} The answer.
+ */
+async function askPrompt(plugin, prompt) {
+  const message = `[${plugin.name}] ${prompt.message}`;
+
+  if (prompt.type === 'confirm') return await booleanPrompt(message);
+
+  const answer =
+    prompt.type === 'select'
+      ? await selectPrompt(
+          message,
+          prompt.options.map(option => ({
+            value: option.value,
+            label: option.label ?? option.value,
+          })),
+        )
+      : await textPrompt(prompt.default ? `${message} [${prompt.default}]` : message, false);
+  // Handle cancellation during the prompt.
+  cancelPrompt(answer);
+
+  return answer === '' && prompt.default !== undefined ? prompt.default : answer;
+}
+
+/**
+ * Gets the answer of a plugin prompt in `--yes` mode.
+ *
+ * @param {Object} prompt The prompt declared in the plugin manifest.
+ * @returns {string|boolean} The declared default, or the neutral answer of the prompt type.
+ */
+function getDefaultAnswer(prompt) {
+  if (prompt.default !== undefined) return prompt.default;
+
+  if (prompt.type === 'confirm') return false;
+  if (prompt.type === 'select') return prompt.options[0].value;
+  return '';
+}
+
+/**
+ * Validates an answer provided up front (e.g. in a preset) for a plugin prompt.
+ *
+ * @param {Object} plugin The plugin.
+ * @param {Object} prompt The prompt declared in the plugin manifest.
+ * @param {any} value The answer.
+ * @throws {Error} If the answer doesn't match the prompt type or options.
+ */
+function validateAnswer(plugin, prompt, value) {
+  const valid =
+    prompt.type === 'confirm'
+      ? typeof value === 'boolean'
+      : prompt.type === 'select'
+        ? prompt.options.some(option => option.value === value)
+        : typeof value === 'string';
+
+  if (!valid) {
+    throw new Error(
+      `Invalid answer ${JSON.stringify(value)} for "${prompt.name}" of the "${plugin.id}" plugin.`,
+    );
+  }
+}
@@ -0,0 +1,191 @@
+import { selectDockerServices } from '../docker/service-selector.js';
+import { booleanPrompt } from './boolean.prompt.js';
+import { promptCacheMode } from './cache.prompt.js';
+import { cancelPrompt } from './cancel.prompt.js';
+import { promptGlobalPrefix } from './global-prefix.prompt.js';
+import { promptDatabaseType } from './database.prompt.js';
+import { promptPaginationType } from './pagination.prompt.js';
+import { collectPluginOptions } from './plugin-options.prompt.js';
+import { promptSecurityOptions } from './security-options.prompt.js';
+import { textPrompt } from './text.prompt.js';
+
+/**
+ * Resolves a single answer, prompting the user only when it wasn't provided up front.
+ *
+ * @param {any} value The answer provided through the command-line flags, `undefined` if missing.
+ * @param {any} defaultValue The value to use for a missing answer in `--yes` mode.
+ * @param {boolean} useDefaults Whether missing answers should use their default value (`--yes` mode).
+ * @param {Function} prompt The prompt to display when the answer is missing.
+ * @returns {Promise<any>} The resolved answer.
+ */
+export async function resolveAnswer(value, defaultValue, useDefaults, prompt) {
+  if (value !== undefined) return value;
+  if (useDefaults) return defaultValue;
+  return await prompt();
+}
+
+/**
+ * Collects various configuration options for the project.
+ *
+ * This function prompts the user to select or input various options such as:
+ * - Docker service configuration
+ * - Custom exception filter, pipe, and interceptor
+ * - Swagger configuration
+ * - Security utilities
+ * - User definition for `request.user`
+ * - Pagination utility
+ * - Multer file uploader
+ * - Winston logger
+ * - Prettier tab indentation
+ * - API prefix and versioning setup
+ * - Plugin features
+ * - Additional NestJS options
+ *
+ * @param {Object} [provided={}] Options already provided through the command-line flags.
+ * @param {boolean} [useDefaults=false] Whether missing options should use their default value instead of prompting.
+ * @returns {Promise<Object>} An object containing the selected options:
+ * - dockerComposeConfig: The selected Docker services configuration.
+ * - customFilter: Boolean indicating if a custom exception filter is needed.
+ * - customPipe: Boolean indicating if a custom pipe is needed.
+ * - customInterceptor: Boolean indicating if a custom response interceptor is needed.
+ * - swaggerConfig: Boolean indicating if Swagger config is needed.
+ * - securityOptions: The enabled security utilities.
+ * - userDefinition: Boolean indicating if a user definition for `request.user` is needed.
+ * - databaseType: The selected database module (if any).
+ * - paginationType: The selected pagination utility type (if any).
+ * - cacheMode: The selected cache mode (if any).
+ * - multer: Boolean indicating if Multer file uploader is needed.
+ * - winstonLogger: Boolean indicating if the Winston logger is needed.
+ * - prettier: Boolean indicating if prettier should use tab indentation.
+ * - prefix: The global API prefix, if any.
+ * - apiVersioning: Boolean indicating if URI-based API versioning is needed.
+ * - plugins: The answers of the selected plugin features, keyed by plugin identifier.
+ * - nestOptions: Sanitized additional NestJS options.
+ */
+export async function collectOptions(provided = {}, useDefaults = false) {
+  // Resolve an option from the provided values, its default value or the given prompt.
+  const resolve = (key, defaultValue, prompt) =>
+    resolveAnswer(provided[key], defaultValue, useDefaults, prompt);
+
+  // Prompt the user to select Docker services configuration.
+  const dockerComposeConfig = await resolve(
+    'dockerComposeConfig',
+    { status: false },
+    selectDockerServices,
+  );
+
+  // Prompt the user to decide whether they need a custom exception filter.
+  const customFilter = await resolve('customFilter', false, () =>
+    booleanPrompt('Do you need a Custom Exception Filter?'),
+  );
+
+  // Prompt the user to decide whether they need a custom unprocessable entity pipe.
+  const customPipe = await resolve('customPipe', false, () =>
+    booleanPrompt('Do you need a Custom Unprocessable Entity Pipe?'),
+  );
+
+  // Prompt the user to decide whether they need a custom response interceptor.
+  const customInterceptor = await resolve('customInterceptor', false, () =>
+    booleanPrompt('Do you need a Custom Response Interceptor?'),
+  );
+
+  // Prompt the user to decide whether they need Swagger configuration.
+  const swaggerConfig = await resolve('swaggerConfig', false, () =>
+    booleanPrompt('Do you need Swagger config?'),
+  );
+
+  // Prompt the user to decide whether they need security options.
+  const securityOptions = await resolve(
+    'securityOptions',
+    { enabled: false, selections: [] },
+    promptSecurityOptions,
+  );
+
+  // Prompt the user to decide whether they need a user definition for `request.user`.
+  const userDefinition = await resolve('userDefinition', false, () =>
+    booleanPrompt('Do you need a User Definition for `request.user`?'),
+  );
+
+  // Prompt the user to select a database module (TypeORM with PostgreSQL or MySQL, or None).
+  const databaseType = await resolve('databaseType', undefined, promptDatabaseType);
+
+  // Prompt the user to select a pagination utility type (TypeORM, Mongoose, or None).
+  const paginationType = await resolve('paginationType', undefined, promptPaginationType);
+
+  // Prompt the user to select a cache module (global interceptor, @Cacheable() routes, or None).
+  const cacheMode = await resolve('cacheMode', undefined, promptCacheMode);
+
+  // Prompt the user to decide whether they need Multer file uploader.
+  const multer = await resolve('multer', false, () =>
+    booleanPrompt('Do you need Multer File Uploader?'),
+  );
+
+  // Prompt the user to decide whether they need a custom Winston Logger or not
+  const winstonLogger = await resolve('winstonLogger', false, () =>
+    booleanPrompt('Do you need a custom Winston Logger?'),
+  );
+
+  // Prompt the user to decide whether they want to use tabs as indentation or not
+  const prettier = await resolve('prettier', false, () =>
+    booleanPrompt('Do you want prettier to use tabs for indentation instead of spaces?'),
+  );
+
+  // Prompt the user to decide whether they want to use API prefix or not
+  const prefix = await resolve('prefix', undefined, promptGlobalPrefix);
+
+  // Prompt the user to decide whether they want to enable API versioning or not
+  const apiVersioning = await resolve('apiVersioning', false, () =>
+    booleanPrompt('Do you want to enable API versioning in your app?'),
+  );
+
+  // Prompt the user to select the plugin features and answer their prompts
+  const plugins = await collectPluginOptions(provided.plugins, useDefaults);
+
+  // Prompt the user for any additional 'nest new' options.
+  const nestOptions = await resolve('nestOptions', '', () =>
+    textPrompt("Enter any other 'nest new' options you need.", false),
+  );
+  cancelPrompt(nestOptions); // Handle cancellation during the prompt.
+
+  return {
+    dockerComposeConfig,
+    customFilter,
+    customPipe,
+    customInterceptor,
+    swaggerConfig,
+    securityOptions,
+    userDefinition,
+    databaseType,
+    paginationType,
+    cacheMode,
+    multer,
+    winstonLogger,
+    prettier,
+    prefix,
+    apiVersioning,
+    plugins,
+    nestOptions: sanitizeNestOptions(nestOptions),
+  };
+}
+
+/**
+ * Sanitizes the provided NestJS options by removing specific flags.
+ *
+ * This function removes the following options from the input string:
+ * - `--skip-git`: Option to skip Git initialization.
+ * - `--package-manager <name>`: Option to specify a package manager (npm, yarn, pnpm).
+ *
+ * @param {string} nestOptions The raw options string to sanitize.
+ * @returns {string} The sanitized options string with specific flags removed.
+ */
+function sanitizeNestOptions(nestOptions) {
+  // If no options are provided, return an empty string.
+  if (!nestOptions) return '';
+
+  // Remove unnecessary flags from the options string (skip-git, package-manager).
+  return nestOptions
+    .replace('--skip-git', '') // Remove skip-git flag.
+    .replace('--package-manager npm', '') // Remove npm package manager flag.
+    .replace('--package-manager yarn', '') // Remove yarn package manager flag.
+    .replace('--package-manager pnpm', ''); // Remove pnpm package manager flag.
+}
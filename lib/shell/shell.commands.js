@@ -1,5 +1,25 @@
 import { execa } from 'execa';
-import { writeFile } from 'fs/promises';
+import { appendFile, cp, readdir, readFile, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { journalDependencies, journalDirectory, journalFile } from '../functions/change-journal.js';
+import {
+  addVirtualDirectory,
+  getVirtualFile,
+  isDryRun,
+  isVirtualDirectory,
+  planOperation,
+  removeVirtualFile,
+  setVirtualFile,
+} from '../functions/dry-run.js';
+import { recordFiles, recordPackages } from '../manifest/feature-tracker.js';
+
+// Files of the default app created by `nest new` in `src`, replaced by a minimal app module
+const NEST_APP_FILES = [
+  'app.controller.ts',
+  'app.controller.spec.ts',
+  'app.module.ts',
+  'app.service.ts',
+];
 
 /**
  * Checks if a directory exists.
@@ -15,6 +35,23 @@ export async function existsDirectory(directory) {
   return stdout.trim() === 'true';
 }
 
+/**
+ * Checks if a file exists, including files written or removed during a dry run.
+ * @param {string} filePath - The path to the file to check.
+ * @returns {Promise<boolean>} `true` if the file exists, otherwise `false`.
+ */
+export async function existsFile(filePath) {
+  const virtualContent = getVirtualFile(filePath.replaceAll('\\', ''));
+  if (virtualContent !== undefined) return virtualContent !== null;
+
+  // Execute the shell command to check if the file exists.
+  const command = `test -f ${filePath} && echo true || echo false`; // Safeguard against spaces or special characters.
+  const { stdout } = await execa(command, { shell: true });
+
+  // Return the parsed result as a boolean.
+  return stdout.trim() === 'true';
+}
+
 /**
  * Retrieves the current working directory.
  * @returns {Promise<string>} The current directory path with spaces escaped.
@@ -68,6 +105,15 @@ export async function canModifyDirectory(directory) {
  * @returns {Promise<boolean>} Returns `true` if the directory is created successfully.
  */
 export async function createDirectory(directory) {
+  // Only keep track of the directory during a dry run.
+  if (isDryRun()) {
+    addVirtualDirectory(directory);
+    return true;
+  }
+
+  // Record the created directories, so a failed run can remove them.
+  await journalDirectory(directory);
+
   // Create the directory using `mkdir -p` to avoid errors if the directory already exists.
   const command = `mkdir -p ${directory}`;
   await execa(command, { shell: true });
@@ -86,6 +132,12 @@ export async function removeDirectory(directory) {
   // exit early if directory does not exist.
   if (!directoryExists) return;
 
+  // Only report the removal during a dry run.
+  if (isDryRun()) {
+    planOperation({ type: 'remove', path: directory });
+    return true;
+  }
+
   // Remove the directory and its contents using `rm -rf`.
   const command = `rm -rf ${directory}`;
   await execa(command, { shell: true });
@@ -99,6 +151,16 @@ export async function removeDirectory(directory) {
  * @returns {Promise<boolean>} Returns `true` if the file is removed successfully.
  */
 export async function removeFile(filePath) {
+  // Only report the removal during a dry run.
+  if (isDryRun()) {
+    planOperation({ type: 'remove', path: filePath });
+    removeVirtualFile(filePath);
+    return true;
+  }
+
+  // Back up the file, so a failed run can restore it.
+  await journalFile(filePath);
+
   // Remove the file and its contents using `rm -rf`.
   const command = `rm -rf ${filePath}`;
   await execa(command, { shell: true });
@@ -145,11 +207,18 @@ export async function createProject(
 ) {
   // Create the project using Nest CLI.
   const nestCreationCommand = `cd ${directory} && nest new ${projectName} ${gitStatus} --package-manager ${packageManager} ${additionalOptions}`;
-  await execa(nestCreationCommand, { shell: true });
 
   // Create project absolute path
   const projectPath = `${directory}/${projectName}`;
 
+  if (isDryRun()) {
+    planOperation({ type: 'command', command: nestCreationCommand.replace(/\s+/g, ' ').trim() });
+    // Provide the files `nest new` would generate, so later steps can be previewed against them.
+    await seedNestProjectFiles(projectPath);
+  } else {
+    await execa(nestCreationCommand, { shell: true });
+  }
+
   // Install based packages
   await packageInstallation(projectPath, packageManager, [
     'class-validator',
@@ -157,11 +226,10 @@ export async function createProject(
     '@nestjs/config',
   ]);
 
-  // Create .env and .env.development.local files
-  const envCreateCommand = `cd ${projectPath} && touch .env .env.development.local`;
-  const envPortCommand = `cd ${projectPath} && echo "PORT=3000" | tee .env .env.development.local > /dev/null`;
-  await execa(envCreateCommand, { shell: true });
-  await execa(envPortCommand, { shell: true });
+  // Create .env, .env.development.local and the committed .env.example files
+  for (const envFile of ['.env', '.env.development.local', '.env.example']) {
+    await writeTextFile(path.join(projectPath, envFile), 'PORT=3000\n');
+  }
 
   // Return true to indicate the project has been created successfully.
   return true;
@@ -174,8 +242,22 @@ export async function createProject(
  * @returns {Promise<boolean>} - Resolves to `true` if the operation is successful.
  */
 export async function moveFile(filePath, destination) {
+  const target = await resolveCopyTarget(filePath, destination);
+
+  if (isDryRun()) {
+    // Report the moved file as a write, so changes to an existing file are shown as a diff.
+    await planFileWrite(target, await readFile(filePath, 'utf-8'));
+    return true;
+  }
+
+  // Back up the overwritten file, so a failed run can restore it.
+  await journalFile(target);
+
   // Move the file using execa
   await execa('mv', [filePath, destination], { shell: true });
+
+  // Record the created file in the project manifest
+  recordFiles([target]);
   return true;
 }
 
@@ -183,11 +265,28 @@ export async function moveFile(filePath, destination) {
  * copy a file from one location to another.
  * @param {string} filePath - The path of the file to be copy.
  * @param {string} destination - The destination directory or file path.
+ * @param {boolean} [overwrite=true] - Whether an existing target file should be replaced.
  * @returns {Promise<boolean>} - Resolves to `true` if the operation is successful.
  */
-export async function copyFile(filePath, destination) {
+export async function copyFile(filePath, destination, overwrite = true) {
+  const target = await resolveCopyTarget(filePath, destination);
+
+  // Keep the existing file untouched
+  if (!overwrite && (await existsFile(target))) return true;
+
+  if (isDryRun()) {
+    await planFileCopy(filePath, target);
+    return true;
+  }
+
+  // Back up the overwritten file, so a failed run can restore it.
+  await journalFile(target);
+
   // copy the file using execa
   await execa('cp', [filePath, destination], { shell: true });
+
+  // Record the created file in the project manifest
+  recordFiles([target]);
   return true;
 }
 
@@ -195,14 +294,210 @@ export async function copyFile(filePath, destination) {
  * copy a directory from one location to another.
  * @param {string} directoryPath - The path of the directory to be copy.
  * @param {string} destination - The destination directory or directory path.
+ * @param {boolean} [overwrite=true] - Whether the existing target files should be replaced.
+ * @returns {Promise<boolean>} - Resolves to `true` if the operation is successful.
+ */
+export async function copyDirectory(directoryPath, destination, overwrite = true) {
+  const target = await resolveCopyTarget(directoryPath, destination);
+  const entries = await readdir(directoryPath, { recursive: true, withFileTypes: true });
+  const files = [];
+  for (const entry of entries.filter(entry => entry.isFile())) {
+    const source = path.join(entry.parentPath ?? entry.path, entry.name);
+    const file = { source, target: path.join(target, path.relative(directoryPath, source)) };
+
+    // Keep the existing files untouched
+    if (!overwrite && (await existsFile(file.target))) continue;
+    files.push(file);
+  }
+
+  if (isDryRun()) {
+    for (const file of files) {
+      addVirtualDirectory(path.dirname(file.target));
+      await planFileCopy(file.source, file.target);
+    }
+    return true;
+  }
+
+  // Record the copied files, so a failed run can restore them.
+  await journalDirectory(target);
+  for (const file of files) {
+    await journalFile(file.target);
+  }
+
+  // Copy the directory with Node, since `cp -n` fails on skipped files from coreutils 9.2 on
+  await cp(directoryPath, target, { recursive: true, force: overwrite, errorOnExist: false });
+
+  // Record the created files in the project manifest
+  recordFiles(files.map(file => file.target));
+  return true;
+}
+
+/**
+ * Resolves the final path of a copied or moved file or directory, following `cp`/`mv`
+ * semantics: copying into an existing directory places the source inside of it.
+ * @param {string} source - The path of the file or directory being copied.
+ * @param {string} destination - The destination directory or path.
+ * @returns {Promise<string>} - The resolved target path.
+ */
+async function resolveCopyTarget(source, destination) {
+  // Ensure correct file path formatting across OS
+  destination = destination.replaceAll('\\', '');
+
+  if (await isDirectory(destination)) {
+    return path.join(destination, path.basename(source));
+  }
+
+  return path.normalize(destination);
+}
+
+/**
+ * Checks whether a path is an existing directory, including directories created during a dry run.
+ * @param {string} directory - The path to check.
+ * @returns {Promise<boolean>} - `true` if the path is a directory.
+ */
+async function isDirectory(directory) {
+  if (isVirtualDirectory(directory)) return true;
+
+  try {
+    return (await stat(directory)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a text file, including files written during a dry run.
+ * @param {string} filePath - The path of the file to read.
+ * @returns {Promise<string>} - The file content.
+ */
+export async function readTextFile(filePath) {
+  // Ensure correct file path formatting across OS
+  filePath = filePath.replaceAll('\\', '');
+
+  const virtualContent = getVirtualFile(filePath);
+  if (virtualContent === null) {
+    throw Object.assign(new Error(`ENOENT: no such file or directory, open '${filePath}'`), {
+      code: 'ENOENT',
+    });
+  }
+
+  return virtualContent ?? (await readFile(filePath, 'utf-8'));
+}
+
+/**
+ * Writes a text file, creating or overwriting it.
+ * @param {string} filePath - The path of the file to write.
+ * @param {string} content - The file content.
+ * @returns {Promise<boolean>} - Resolves to `true` if the operation is successful.
+ */
+export async function writeTextFile(filePath, content) {
+  // Ensure correct file path formatting across OS
+  filePath = filePath.replaceAll('\\', '');
+
+  if (isDryRun()) {
+    await planFileWrite(filePath, content);
+  } else {
+    await journalFile(filePath);
+    await writeFile(filePath, content, 'utf-8');
+  }
+
+  // Record the created file in the project manifest
+  recordFiles([filePath]);
+  return true;
+}
+
+/**
+ * Appends content to a text file, creating it if it doesn't exist.
+ * @param {string} filePath - The path of the file to append to.
+ * @param {string} content - The content to append.
  * @returns {Promise<boolean>} - Resolves to `true` if the operation is successful.
  */
-export async function copyDirectory(directoryPath, destination) {
-  // copy the directory using execa
-  await execa('cp -r', [directoryPath, destination], { shell: true });
+export async function appendTextFile(filePath, content) {
+  // Ensure correct file path formatting across OS
+  filePath = filePath.replaceAll('\\', '');
+
+  if (isDryRun()) {
+    await planFileWrite(filePath, ((await readExistingTextFile(filePath)) ?? '') + content);
+    return true;
+  }
+
+  await journalFile(filePath);
+  await appendFile(filePath, content, 'utf-8');
   return true;
 }
 
+/**
+ * Reads a text file if it exists.
+ * @param {string} filePath - The path of the file to read.
+ * @returns {Promise<string|undefined>} - The file content, or `undefined` if it doesn't exist.
+ */
+async function readExistingTextFile(filePath) {
+  try {
+    return await readTextFile(filePath);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Records a planned file write during a dry run.
+ * @param {string} filePath - The path of the file that would be written.
+ * @param {string} content - The content that would be written.
+ */
+async function planFileWrite(filePath, content) {
+  const before = await readExistingTextFile(filePath);
+
+  planOperation({
+    type: 'write',
+    path: filePath,
+    overwrite: before !== undefined,
+    before,
+    after: content,
+  });
+  setVirtualFile(filePath, content);
+}
+
+/**
+ * Records a planned file copy during a dry run.
+ * @param {string} source - The path of the file that would be copied.
+ * @param {string} target - The path the file would be copied to.
+ */
+async function planFileCopy(source, target) {
+  const before = await readExistingTextFile(target);
+  const content = await readFile(source, 'utf-8');
+
+  planOperation({ type: 'copy', path: target, overwrite: before !== undefined });
+  setVirtualFile(target, content);
+}
+
+/**
+ * Provides the files generated by `nest new` during a dry run, based on the templates of a
+ * freshly created Nest project.
+ * @param {string} projectPath - The absolute path to the project directory.
+ */
+async function seedNestProjectFiles(projectPath) {
+  const baselines = {
+    'src/main.ts': '../files/baselines/nest-new.main.ts',
+    'package.json': '../files/baselines/nest-new.package.json',
+    'eslint.config.mjs': '../files/baselines/nest-new.eslint.config.mjs',
+    '.prettierrc': '../files/baselines/nest-new.prettierrc',
+    'test/jest-e2e.json': '../files/baselines/nest-new.jest-e2e.json',
+    ...Object.fromEntries(
+      NEST_APP_FILES.map(file => [`src/${file}`, `../files/baselines/nest-new.${file}`]),
+    ),
+  };
+
+  for (const [file, baseline] of Object.entries(baselines)) {
+    const content = await readFile(new URL(baseline, import.meta.url), 'utf-8');
+    setVirtualFile(path.join(projectPath, file), content);
+  }
+
+  // Files copied into the project root resolve their target from it, like `cp` does
+  addVirtualDirectory(projectPath);
+  addVirtualDirectory(path.join(projectPath, 'src'));
+  addVirtualDirectory(path.join(projectPath, 'test'));
+}
+
 /**
  * Creates the main directories for a project structure.
  * @param {string} targetDirectory - The root directory where the directories will be created.
@@ -216,7 +511,7 @@ export async function makeMainDirectories(targetDirectory) {
   ];
 
   for (const directory of mainDirectories) {
-    await execa('mkdir -p', [directory], { shell: true });
+    await createDirectory(directory);
   }
 
   return true;
@@ -232,7 +527,9 @@ export async function manageAppModule(targetDirectory, loggerStatus) {
   const srcDirectory = `${targetDirectory}/src`;
 
   // Remove default NestJS app files
-  await removeFile(`${srcDirectory}/app.*`);
+  for (const file of NEST_APP_FILES) {
+    await removeFile(`${srcDirectory}/${file}`);
+  }
 
   // Create a minimal app.module.ts file in src directory
   const appModuleContent = `import { Module } from '@nestjs/common';
@@ -253,7 +550,7 @@ ${loggerStatus ? 'import { LoggerModule } from "./modules/logger";' : ''}
 export class AppModule {}
 `;
 
-  await writeFile(`${srcDirectory}/app.module.ts`, appModuleContent, 'utf-8');
+  await writeTextFile(`${srcDirectory}/app.module.ts`, appModuleContent);
 
   return true;
 }
@@ -272,6 +569,30 @@ export async function packageInstallation(
   packages = [],
   devPackages = [],
 ) {
+  // Record the installed packages in the project manifest
+  recordPackages(packages, devPackages);
+
+  // Only report the installation commands during a dry run.
+  if (isDryRun()) {
+    const installCommand = packageManager === 'yarn' ? 'add' : 'install';
+    if (packages.length) {
+      planOperation({
+        type: 'install',
+        command: `${packageManager} ${installCommand} ${packages.join(' ')}`,
+      });
+    }
+    if (devPackages.length) {
+      planOperation({
+        type: 'install',
+        command: `${packageManager} ${installCommand} ${devPackages.join(' ')} ${packageManager === 'yarn' ? '--dev' : '-D'}`,
+      });
+    }
+    return true;
+  }
+
+  // Back up package.json and the lockfile, so a failed run can restore them.
+  await journalDependencies();
+
   // Install regular packages
   if (Array.isArray(packages) && packages.length > 0) {
     await execa(packageManager, [packageManager === 'yarn' ? 'add' : 'install', ...packages], {
@@ -332,6 +653,25 @@ export async function isNestProject(directory) {
   return true;
 }
 
+/**
+ * Formats the given files with the project's prettier config.
+ * @param {string} projectPath - The absolute path to the target project directory.
+ * @param {string[]} files - The absolute paths of the files to format.
+ */
+export async function formatFiles(projectPath, files) {
+  const prettierCommand = `cd ${projectPath} && npx prettier --write ${files.map(file => `"${file.replaceAll('\\', '')}"`).join(' ')}`;
+
+  if (isDryRun()) {
+    planOperation({ type: 'command', command: prettierCommand });
+    return;
+  }
+
+  for (const file of files) {
+    await journalFile(file);
+  }
+  await execa(prettierCommand, { shell: true });
+}
+
 /**
  * Run prettier on the final project.
  * @param {string} projectPath - The absolute path to the target project directory.
@@ -339,5 +679,28 @@ export async function isNestProject(directory) {
 export async function runPrettier(projectPath) {
   // run prettier on the project
   const prettierCommand = `cd ${projectPath} && npm run format`;
+
+  if (isDryRun()) {
+    planOperation({ type: 'command', command: prettierCommand });
+    return;
+  }
+
   await execa(prettierCommand, { shell: true });
 }
+
+/**
+ * Runs a script of the project's package.json.
+ * @param {string} projectPath - The absolute path to the target project directory.
+ * @param {string} packageManager - The package manager to be used (e.g., npm, yarn, pnpm).
+ * @param {string} script - The name of the script (e.g., `prisma:generate`).
+ */
+export async function runPackageScript(projectPath, packageManager, script) {
+  const scriptCommand = `cd ${projectPath} && ${packageManager} run ${script}`;
+
+  if (isDryRun()) {
+    planOperation({ type: 'command', command: scriptCommand });
+    return;
+  }
+
+  await execa(scriptCommand, { shell: true });
+}